@@ -0,0 +1,216 @@
+// Enemy AI controllers: read the fight, answer with the same button intents a human pad produces
+(function(root, factory){
+  const node = typeof module === 'object' && module.exports;
+  const api = node ? factory(require('./moves.js')) : factory(root.Ledger.moves);
+  if (node) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).ai = api;
+})(typeof self !== 'undefined' ? self : this, function(moves){
+  // Distances are fractions of the AI fighter's scaled frame width so they hold at any scale.
+  // Times are in simulation ticks (60 per second).
+  const PRESETS = {
+    easy: {
+      name: 'Easy',
+      reactionTicks: 24,   // delay before reacting to an opponent's swing or whiff
+      thinkTicks: 12,      // how often spacing decisions are re-rolled
+      range: 0.22,          // preferred attack distance (pushboxes keep fighters 0.22 apart)
+      aggression: 0.35,    // chance to swing on each think while in range
+      attackCooldown: 78,  // min ticks between swings
+      block: 0.2,          // chance to block a swing it reacted to
+      punish: 0.15,        // chance to punish a whiff or a blocked swing
+      taunt: 0.002,        // chance per tick to taunt from a distance
+      tauntCooldown: 600,
+      retreatGuard: 0,     // retreat when the guard meter drops below this fraction
+      retreatTicks: 0,
+      chain: 0.1,          // chance to cancel a connecting swing into a follow-up
+      special: 0.1,        // chance to spend meter on a special instead of a plain swing
+    },
+    normal: {
+      name: 'Normal',
+      reactionTicks: 14,
+      thinkTicks: 6,
+      range: 0.22,
+      aggression: 0.85,
+      attackCooldown: 54,
+      block: 0.55,
+      punish: 0.5,
+      taunt: 0.003,
+      tauntCooldown: 420,
+      retreatGuard: 0.25,
+      retreatTicks: 45,
+      chain: 0.45,
+      special: 0.35,
+    },
+    hard: {
+      name: 'Hard',
+      reactionTicks: 6,
+      thinkTicks: 3,
+      range: 0.22,
+      aggression: 0.95,
+      attackCooldown: 39,
+      block: 0.8,
+      punish: 0.9,
+      taunt: 0.005,
+      tauntCooldown: 300,
+      retreatGuard: 0.4,
+      retreatTicks: 60,
+      chain: 0.6,
+      special: 0.45,
+    },
+  };
+  const DIFFICULTIES = Object.keys(PRESETS);
+  const idlePad = () => ({ left: false, right: false, up: false, down: false, attack: false, taunt: false, block: false });
+
+  // State machine controller. States:
+  //   approach - walk into range        spacing - hover at range and pick moments to swing
+  //   retreat  - back off to rebuild guard   block - hold guard through a swing it saw coming
+  //   punish   - rush in and swing after a whiff or a blocked swing   taunt - taunt from a distance
+  // decide(self, opp, match) is called once per tick and returns a pad; randomness comes from
+  // match.rng so matches stay deterministic. Specials are entered as motions over several ticks,
+  // through the same input buffer a player uses.
+  function createController(preset='normal'){
+    const p = typeof preset === 'string' ? PRESETS[preset] || PRESETS.normal : { ...PRESETS.normal, ...preset };
+    const c = {
+      preset: p,
+      state: 'approach',
+      since: 0,          // tick the current state was entered
+      nextAttack: 0,     // tick of the earliest next swing
+      nextTaunt: 0,
+      nextThink: 0,
+      seenSwing: 0,      // opponent attackSeq we last noticed
+      swingAt: -1,       // tick that swing started
+      blockRolled: false, willBlock: false,
+      oppWasAttacking: false,
+      whiffAt: -1,       // tick the opponent's last swing ended without connecting
+      chainRolled: 0,    // own attackSeq the follow-up was decided for
+      queue: [],         // pads still to send for a motion in progress
+    };
+    function enter(state, tick){ if (c.state !== state){ c.state = state; c.since = tick; } }
+    function reset(){
+      Object.assign(c, { state: 'approach', since: 0, nextAttack: 0, nextTaunt: 0, nextThink: 0, seenSwing: 0, swingAt: -1, blockRolled: false, willBlock: false, oppWasAttacking: false, whiffAt: -1, chainRolled: 0, queue: [] });
+    }
+    // Walk toward (dir 1) or away from (dir -1) the opponent
+    function walk(pad, self, opp, dir){
+      const toward = Math.sign(opp.x - self.x) || self.facing;
+      if (toward * dir > 0) pad.right = true; else pad.left = true;
+    }
+    // Queue a move's motion with the attack press on its last step; plain moves press at once
+    function perform(pad, self, mv){
+      if (!mv.motion){ pad.attack = true; return; }
+      c.queue = moves.motionPads(mv.motion, self.facing);
+      c.queue[c.queue.length - 1].attack = true;
+    }
+    const affordable = (self, list) => list.filter(mv => mv && self.meter >= mv.meter);
+    // Swing if facing the opponent; otherwise turn this tick and swing on a later one.
+    // With meter for a special it's sometimes that instead.
+    function swing(pad, self, opp, rng, tick, cooldown=true){
+      const toward = Math.sign(opp.x - self.x) || self.facing;
+      if (self.facing !== toward){ walk(pad, self, opp, 1); return; }
+      const specials = affordable(self, [...self.moves.values()].filter(mv => mv.motion && mv.meter && !mv.chainOnly));
+      if (specials.length && rng() < p.special) perform(pad, self, specials[0]);
+      else pad.attack = true;
+      if (cooldown) c.nextAttack = tick + p.attackCooldown;
+    }
+
+    c.decide = function(self, opp, match){
+      const pad = idlePad();
+      const tick = match.tick, rng = match.rng;
+      if (match.phase !== 'fight' || self.stunned || self.breakTimer > 0 || self.hitstun > 0 || !self.onGround){
+        if (match.phase !== 'fight') reset();
+        c.queue = [];
+        return pad;
+      }
+      if (c.queue.length) return Object.assign(pad, c.queue.shift());
+      const fw = self.getFrameSize().fw;
+      const dist = Math.abs(opp.x - self.x);
+      const range = fw * p.range;
+      const reach = fw * 0.7; // how close an opponent swing has to be before it's a threat
+
+      // Perception: note new swings and swings that ended without connecting
+      const oppAttacking = opp.current === 'attack';
+      if (oppAttacking && opp.attackSeq !== c.seenSwing){
+        c.seenSwing = opp.attackSeq; c.swingAt = tick; c.blockRolled = false;
+      }
+      if (c.oppWasAttacking && !oppAttacking && !opp.hasHit) c.whiffAt = tick;
+      c.oppWasAttacking = oppAttacking;
+      const reacted = (at) => at >= 0 && tick - at >= p.reactionTicks;
+
+      // Guard against a swing we've had time to see
+      if (oppAttacking && dist <= reach && reacted(c.swingAt)){
+        if (!c.blockRolled){
+          c.blockRolled = true;
+          // Less eager to block as the meter runs low
+          const guardLeft = self.guardMeter / self.guard.max;
+          c.willBlock = rng() < p.block * Math.min(1, guardLeft + 0.3);
+        }
+        if (c.willBlock && self.current !== 'attack') enter('block', tick);
+      }
+      if (c.state === 'block'){
+        if (oppAttacking || self.blockstun > 0){ pad.block = true; return pad; }
+        enter(rng() < p.punish ? 'punish' : 'spacing', tick);
+      }
+      // A whiff we noticed in time is an opening
+      if (c.whiffAt >= 0 && reacted(c.whiffAt) && tick - c.whiffAt < p.reactionTicks + 20){
+        c.whiffAt = -1;
+        if (dist <= range * 2.5 && rng() < p.punish) enter('punish', tick);
+      }
+      // A swing that connected can be cancelled into a follow-up, decided once per swing
+      if (self.canCancel() && c.chainRolled !== self.attackSeq){
+        c.chainRolled = self.attackSeq;
+        const next = affordable(self, self.move.cancels.map(n => self.moves.get(n)));
+        if (next.length && rng() < p.chain) perform(pad, self, next[rng() < p.special ? next.length - 1 : 0]);
+        return pad;
+      }
+      if (self.current === 'attack' || self.current === 'taunt') return pad; // let it play out
+
+      if (c.state !== 'retreat' && c.state !== 'punish' && p.retreatTicks && self.guardMeter < self.guard.max * p.retreatGuard){
+        enter('retreat', tick);
+      }
+      if (c.state !== 'punish' && c.state !== 'retreat' && tick >= c.nextTaunt && dist > range * 3 && self.anim.has('taunt') && rng() < p.taunt){
+        c.nextTaunt = tick + p.tauntCooldown;
+        enter('taunt', tick);
+      }
+
+      switch (c.state){
+        case 'punish':
+          // Rush in and swing straight away, ignoring the usual cooldown
+          if (dist > range) walk(pad, self, opp, 1);
+          else { swing(pad, self, opp, rng, tick, false); enter('spacing', tick); }
+          if (tick - c.since > 40) enter('approach', tick);
+          break;
+        case 'retreat': {
+          const atWall = self.x <= match.world.left + 20 || self.x >= match.world.right - 20;
+          if (tick - c.since > p.retreatTicks || atWall || self.guardMeter >= self.guard.max * 0.8) enter('approach', tick);
+          else walk(pad, self, opp, -1);
+          break;
+        }
+        case 'taunt':
+          pad.taunt = true;
+          enter('approach', tick);
+          break;
+        case 'spacing':
+          if (dist > range * 1.3){ enter('approach', tick); walk(pad, self, opp, 1); break; }
+          if (dist < range * 0.4){ walk(pad, self, opp, -1); break; } // too close to swing cleanly
+          if (tick >= c.nextThink){
+            c.nextThink = tick + p.thinkTicks;
+            if (tick >= c.nextAttack && self.attackCooldown <= 0 && rng() < p.aggression) swing(pad, self, opp, rng, tick);
+          }
+          break;
+        default: // approach
+          if (dist > range) walk(pad, self, opp, 1);
+          else {
+            enter('spacing', tick);
+            if (tick >= c.nextAttack && self.attackCooldown <= 0) swing(pad, self, opp, rng, tick);
+          }
+      }
+      return pad;
+    };
+    c.reset = reset;
+    // The controller's memory as plain data, so a rolled-back match can rewind it too
+    const memory = Object.keys(c).filter(k => k !== 'preset' && typeof c[k] !== 'function');
+    c.snapshot = () => JSON.parse(JSON.stringify(Object.fromEntries(memory.map(k => [k, c[k]]))));
+    c.restore = (s) => { Object.assign(c, JSON.parse(JSON.stringify(s))); };
+    return c;
+  }
+
+  return { PRESETS, DIFFICULTIES, createController };
+});
@@ -0,0 +1,67 @@
+// Arcade mode: a ladder of fights against tougher and tougher opponents, with story text between them
+(function(root, factory){
+  const node = typeof module === 'object' && module.exports;
+  const api = node ? factory(require('./ai.js')) : factory(root.Ledger.ai);
+  if (node) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).arcade = api;
+})(typeof self !== 'undefined' ? self : this, function(ai){
+  const { PRESETS } = ai;
+  // Each fight: who stands in the way (a roster id and palette index), where, and how hard.
+  //   ai     - an AI preset name, or preset values over Normal (plain data, so replays keep it)
+  //   tuning - the opponent's HP and damage multipliers (see the sim's `tuning` config)
+  // The player's own pick stays the same for the whole run.
+  const LADDER = [
+    {
+      title: 'The Phisher',
+      story: 'A link in your inbox promised a refund. Behind it, a pale imitation of the Man counts your keystrokes in the back office.',
+      enemy: { id: 'man', palette: 2 }, stage: 'office',
+      ai: 'easy', tuning: { hp: 0.8, damage: 0.8 }, bestOf: 1,
+    },
+    {
+      title: 'The Launderer',
+      story: 'The trail runs through a soap that washes more than hands. Every coin that passes through it comes out clean and untraceable.',
+      enemy: { id: 'soap', palette: 3 }, stage: 'office',
+      ai: { ...PRESETS.easy, aggression: 0.6, block: 0.4, punish: 0.35 }, tuning: { hp: 0.9, damage: 0.9 }, bestOf: 3,
+    },
+    {
+      title: 'The Pump',
+      story: 'On the trading floor a gilded shill is talking up a coin nobody has heard of. Your ledger is the collateral.',
+      enemy: { id: 'man', palette: 3 }, stage: 'exchange',
+      ai: 'normal', tuning: { hp: 1, damage: 1 }, bestOf: 3,
+    },
+    {
+      title: 'The Mixer',
+      story: 'Somebody is scrubbing the ledger line by line. It knows you are coming, and it has stopped being gentle.',
+      enemy: { id: 'soap', palette: 1 }, stage: 'exchange',
+      ai: { ...PRESETS.normal, reactionTicks: 10, block: 0.7, punish: 0.7, chain: 0.55 }, tuning: { hp: 1.1, damage: 1.1 }, bestOf: 3,
+    },
+    {
+      title: 'The Scammer',
+      story: 'The rooftop, the wind and the one who started it all, with your ledger in hand. This is the last fight.',
+      enemy: { id: 'man', palette: 0 }, stage: 'rooftop',
+      ai: 'hard', tuning: { hp: 1.2, damage: 1.2 }, bestOf: 3,
+    },
+  ];
+  const ENDING = {
+    title: 'Ledger retrieved',
+    story: 'Every entry is back where it belongs. The Scammer is out of tricks, for now.',
+  };
+
+  // A fresh run: which fight is next, the match time spent so far (ticks, lost fights included)
+  // and how many lost fights were fought again
+  function createRun(){
+    return { index: 0, ticks: 0, continues: 0 };
+  }
+  const fightOf = (run) => LADDER[run.index] || null;
+  // Called when a fight's match ends; returns 'next', 'cleared' (the last fight was won) or 'lost'
+  function finishFight(run, won, ticks){
+    run.ticks += ticks;
+    if (!won) return 'lost';
+    run.index++;
+    return run.index >= LADDER.length ? 'cleared' : 'next';
+  }
+  // A lost fight is fought again from the start
+  function continueRun(run){ run.continues++; }
+
+  return { LADDER, ENDING, createRun, fightOf, finishFight, continueRun };
+});
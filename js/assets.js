@@ -0,0 +1,127 @@
+// Asset manager: preloads sprite sheets and sounds with progress, and reports broken or suspicious ones
+(function(root, factory){
+  const node = typeof module === 'object' && module.exports;
+  const api = node ? factory(require('./characters.js')) : factory(root.Ledger.characters);
+  if (node) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).assets = api;
+})(typeof self !== 'undefined' ? self : this, function(characters){
+  const { parseFrameHint } = characters;
+  const TILE = 80;
+  const TIMEOUT_MS = 15000; // an asset that neither loads nor fails by then is reported as stuck
+
+  // SpriteSheet holds a single spritesheet image and grid info; a 0 tile size makes the whole
+  // image one tile (stage backdrop layers)
+  class SpriteSheet {
+    constructor(src, tileW=TILE, tileH=TILE){
+      this.src = src;
+      this.image = new Image();
+      this.tileW = tileW; this.tileH = tileH;
+      this.cols = 0; this.rows = 0; this.loaded = false; this.failed = false;
+      this.hintFrameCount = parseFrameHint(src);
+      this.ready = new Promise(resolve => {
+        this.image.onload = () => {
+          this.loaded = true;
+          if (!this.tileW || !this.tileH){ this.tileW = this.image.width; this.tileH = this.image.height; }
+          this.cols = Math.max(1, Math.floor(this.image.width / this.tileW));
+          this.rows = Math.max(1, Math.floor(this.image.height / this.tileH));
+          resolve(this);
+        };
+        this.image.onerror = () => { this.failed = true; resolve(this); };
+      });
+      this.image.src = src;
+    }
+  }
+
+  function withTimeout(promise, ms){
+    let timer;
+    return Promise.race([promise, new Promise(resolve => { timer = setTimeout(() => resolve('timeout'), ms); })]).finally(() => clearTimeout(timer));
+  }
+
+  // Every sheet and sound is registered with who uses it (owner + name), so the report can say
+  // "soap / walk" rather than just a path. Issues are 'error' (won't show or play), 'warning'
+  // (will look or sound wrong) or 'info' (a fallback is in use).
+  function createAssetManager({ mixer, timeoutMs = TIMEOUT_MS } = {}){
+    const sheets = new Map(); // `${src}@${tileW}x${tileH}` -> SpriteSheet
+    const uses = [];          // { kind, owner, name, ...details }
+    const issues = [];
+    let preloading = null;
+
+    function issue(level, use, message){ issues.push({ level, owner: use.owner, name: use.name, message }); }
+
+    // frameCount is what the manifest asks for; it's checked against the sheet's grid once loaded
+    function sheet(src, { tileW=TILE, tileH=TILE, owner='', name='', frameCount=0 } = {}){
+      const key = `${src}@${tileW}x${tileH}`;
+      if (!sheets.has(key)) sheets.set(key, new SpriteSheet(src, tileW, tileH));
+      const s = sheets.get(key);
+      uses.push({ kind: 'sheet', owner, name, asset: s, frameCount });
+      return s;
+    }
+    // Resolves to the mixer clip (or null); optional sounds only rate an 'info' when missing
+    function sound(src, { synth, owner='', name='', optional=false } = {}){
+      const list = (Array.isArray(src) ? src : [src]).filter(Boolean);
+      const use = { kind: 'sound', owner, name, src: list, synth, optional, clip: undefined };
+      use.promise = mixer ? mixer.load(list, { synth }).then(clip => (use.clip = clip)) : Promise.resolve(null);
+      uses.push(use);
+      return use.promise;
+    }
+
+    function checkSheet(use, result){
+      const s = use.asset;
+      if (result === 'timeout' && !s.loaded && !s.failed) return issue('error', use, `${s.src} is still loading after ${timeoutMs/1000}s`);
+      if (s.failed) return issue('error', use, `${s.src} failed to load (wrong path or not an image)`);
+      const { width, height } = s.image;
+      const grid = s.cols * s.rows;
+      if (width % s.tileW || height % s.tileH){
+        issue('warning', use, `${s.src} is ${width}×${height}, not a multiple of the ${s.tileW}×${s.tileH} tile`);
+      }
+      if (s.hintFrameCount && s.hintFrameCount > grid){
+        issue('warning', use, `${s.src}: the _${s.hintFrameCount} file-name hint is more frames than the ${s.cols}×${s.rows} grid holds (${grid})`);
+      } else if (use.frameCount > grid){
+        issue('warning', use, `${s.src}: frameCount ${use.frameCount} is more frames than the ${s.cols}×${s.rows} grid holds (${grid})`);
+      }
+      if (s.hintFrameCount && use.frameCount && use.frameCount !== s.hintFrameCount){
+        issue('warning', use, `${s.src}: frameCount ${use.frameCount} disagrees with the _${s.hintFrameCount} file-name hint`);
+      }
+    }
+    function checkSound(use, result){
+      const files = use.src.join(', ');
+      if (result === 'timeout' && use.clip === undefined) return issue('error', use, `${files} still loading after ${timeoutMs/1000}s`);
+      if (!use.clip){
+        if (!mixer) return;
+        // A generated sound without Web Audio is the browser's limit, not a broken asset
+        if (!use.src.length) issue('info', use, `the synthesised "${use.synth}" sound needs Web Audio`);
+        else issue(use.optional ? 'info' : 'warning', use, `no playable file among ${files}`);
+      } else if (use.clip.synth){
+        // A sound with no files at all is generated on purpose, not standing in for one
+        if (use.src.length) issue('info', use, `no file found; using the synthesised "${use.clip.synth}" sound`);
+      } else if (use.clip.via === 'no-fetch'){
+        issue('info', use, `${use.clip.url} can't be checked from a file:// page; it plays through an <audio> element`);
+      }
+    }
+
+    // onProgress(done, total) fires as each asset settles; resolves to the report
+    function preload(onProgress){
+      if (preloading) return preloading;
+      const total = uses.length;
+      let done = 0;
+      onProgress?.(0, total);
+      const tasks = uses.map(use => {
+        const p = use.kind === 'sheet' ? use.asset.ready : use.promise;
+        return withTimeout(p, timeoutMs).then(result => {
+          if (use.kind === 'sheet') checkSheet(use, result); else checkSound(use, result);
+          onProgress?.(++done, total);
+        });
+      });
+      preloading = Promise.all(tasks).then(report);
+      return preloading;
+    }
+    function report(){
+      const count = (level) => issues.filter(i => i.level === level).length;
+      return { issues: issues.slice(), errors: count('error'), warnings: count('warning'), infos: count('info'), total: uses.length };
+    }
+
+    return { sheet, sound, preload, report };
+  }
+
+  return { TIMEOUT_MS, SpriteSheet, createAssetManager };
+});
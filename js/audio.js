@@ -0,0 +1,253 @@
+// Web Audio mixer: decoded buffers, polyphonic one-shots, master/sfx/music buses and stereo panning
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).audio = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  const BUSES = ['master', 'sfx', 'music'];
+  const DEFAULT_SETTINGS = { master: 0.8, sfx: 1, music: 0.5, muted: false };
+  const MAX_VOICES = 4; // per clip; the oldest voice is cut when a fifth starts
+  const EXT_TYPES = { ogg: 'audio/ogg', mp3: 'audio/mpeg', wav: 'audio/wav', m4a: 'audio/mp4' };
+
+  const clamp01 = (v) => Math.max(0, Math.min(1, +v || 0));
+
+  // Procedural sounds: stand-ins for sounds that have no file (manifest `synth`) and the music,
+  // rendered once per context
+  function renderBuffer(ctx, seconds, sample){
+    const sr = ctx.sampleRate, n = Math.max(1, Math.round(seconds * sr));
+    const buf = ctx.createBuffer(1, n, sr);
+    const data = buf.getChannelData(0);
+    const state = { lp: 0 };
+    for (let i = 0; i < n; i++) data[i] = sample(i / sr, state);
+    return buf;
+  }
+  // Music loops: one chord per bar of 16 sixteenth-note steps, with a bass on the eighths, an
+  // arpeggio up the chord, and a kick, snare and hats. Chord roots are semitones above A2.
+  const WAVES = {
+    square: (p) => (p % 1 < 0.5 ? 0.6 : -0.6),
+    triangle: (p) => 1 - 4 * Math.abs((p % 1) - 0.5),
+    saw: (p) => 2 * (p % 1) - 1,
+  };
+  function renderTune(ctx, { bpm, chords, minor = true, lead = 'square', bass = 'triangle', drums = true }){
+    const step = 60 / bpm / 4;
+    const hz = (semi) => 110 * Math.pow(2, semi / 12);
+    // Fades each note in and out over a few ms so the step edges don't click
+    const gate = (local, len) => Math.max(0, Math.min(1, local / 0.003, (len - local) / 0.008));
+    const arp = [0, minor ? 3 : 4, 7, 12];
+    return renderBuffer(ctx, chords.length * 16 * step, (t) => {
+      const i = Math.floor(t / step), beat = i % 16, local = t - i * step;
+      const root = chords[Math.floor(i / 16)];
+      const pair = t - (i - (i % 2)) * step; // time into the current eighth note
+      let out = WAVES[bass](hz(root + (beat % 4 === 2 ? 12 : 0)) * t) * 0.32 * Math.exp(-pair * 5) * gate(pair, 2 * step);
+      out += WAVES[lead](hz(root + 24 + arp[beat % 4]) * t) * 0.12 * Math.exp(-local * 14) * gate(local, step);
+      if (drums){
+        const beatTime = t - (i - (i % 4)) * step;
+        if (beat % 4 === 0) out += Math.sin(2 * Math.PI * (40 + 80 * Math.exp(-beatTime * 30)) * beatTime) * 0.5 * Math.exp(-beatTime * 9) * gate(beatTime, 4 * step);
+        if (beat === 4 || beat === 12) out += (Math.random() * 2 - 1) * 0.16 * Math.exp(-local * 22) * gate(local, step);
+        if (beat % 2 === 1) out += (Math.random() * 2 - 1) * 0.05 * Math.exp(-local * 70) * gate(local, step);
+      }
+      return Math.max(-1, Math.min(1, out * 0.7));
+    });
+  }
+  const SYNTHS = {
+    // Two soft, low-passed noise thumps per loop: a footstep pair at walking pace
+    steps: (ctx) => renderBuffer(ctx, 0.56, (t, s) => {
+      const local = t % 0.28;
+      const env = local < 0.07 ? Math.exp(-local * 60) : 0;
+      s.lp += 0.12 * ((Math.random() * 2 - 1) * env - s.lp);
+      return s.lp * 1.6;
+    }),
+    // Round start: two rising square blips
+    round: (ctx) => renderBuffer(ctx, 0.36, (t) => {
+      const f = t < 0.14 ? 660 : 990, local = t < 0.14 ? t : t - 0.14;
+      return Math.sign(Math.sin(2 * Math.PI * f * t)) * 0.18 * Math.exp(-local * 10);
+    }),
+    // KO: falling sine sweep
+    ko: (ctx) => renderBuffer(ctx, 0.7, (t) => {
+      const f = 440 * Math.pow(0.25, t / 0.7);
+      return Math.sin(2 * Math.PI * f * t) * 0.35 * (1 - t / 0.7);
+    }),
+    // Default fight music: A minor, driving
+    fight: (ctx) => renderTune(ctx, { bpm: 140, chords: [0, -4, -2, -5] }),
+    // Stage music (the stage's `music.synth`)
+    office: (ctx) => renderTune(ctx, { bpm: 112, chords: [0, 5, 3, -2], lead: 'triangle' }),
+    exchange: (ctx) => renderTune(ctx, { bpm: 150, chords: [0, 0, -4, -2], lead: 'saw' }),
+    rooftop: (ctx) => renderTune(ctx, { bpm: 128, chords: [0, -2, -4, -5] }),
+  };
+
+  // The mixer degrades step by step: no Web Audio -> plain <audio> elements; a file that can't be
+  // fetched (file:// pages) -> <audio> element for that clip; no file at all -> its synth, or silence.
+  function createMixer({ AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext } = {}){
+    const settings = { ...DEFAULT_SETTINGS };
+    let ctx = null, out = null;
+    if (AudioContextClass){
+      try {
+        ctx = new AudioContextClass();
+        const master = ctx.createGain();
+        master.connect(ctx.destination);
+        out = { master, sfx: ctx.createGain(), music: ctx.createGain() };
+        out.sfx.connect(master); out.music.connect(master);
+      } catch { ctx = null; out = null; }
+    }
+    let unlocked = false;
+    let paused = false;
+    let closed = false;
+    const voices = new Set();
+    const cache = new Map();
+    let music = null; // { clip, voice }
+
+    const busLevel = (bus) => settings.muted ? 0 : settings.master * (bus === 'master' ? 1 : settings[bus]);
+    function applySettings(){
+      if (out){
+        out.master.gain.value = settings.muted ? 0 : settings.master;
+        out.sfx.gain.value = settings.sfx;
+        out.music.gain.value = settings.music;
+      }
+      for (const v of voices) v.applyVolume?.();
+    }
+    applySettings();
+
+    // Browsers keep audio suspended until a user gesture; sounds requested before that are dropped
+    function unlock(){
+      if (closed) return;
+      unlocked = true;
+      if (ctx && ctx.state === 'suspended' && !paused) ctx.resume().catch(() => {});
+    }
+    const ready = () => unlocked && !paused && !closed && (!ctx || ctx.state !== 'suspended');
+    // Pausing holds every voice where it is (nothing new starts meanwhile); resume() carries on
+    function pause(){
+      if (paused) return;
+      paused = true;
+      if (ctx && ctx.state === 'running') ctx.suspend().catch(() => {});
+      for (const v of voices) v.pause?.();
+    }
+    function resume(){
+      if (!paused) return;
+      paused = false;
+      if (ctx && unlocked) ctx.resume().catch(() => {});
+      for (const v of voices) v.resume?.();
+    }
+
+    const probe = typeof document !== 'undefined' ? document.createElement('audio') : null;
+    function playable(src){
+      const ext = String(src).toLowerCase().split('?')[0].split('.').pop();
+      return !probe || !EXT_TYPES[ext] || !!probe.canPlayType(EXT_TYPES[ext]);
+    }
+    async function fetchBuffer(src){
+      const res = await fetch(src);
+      if (!res.ok) return null; // missing file: try the next source
+      return await ctx.decodeAudioData(await res.arrayBuffer());
+    }
+    // Resolves to a clip ({ buffer }, { buffer, synth } or { url, via }) or null when nothing can be played
+    function load(srcList, { synth } = {}){
+      const list = (Array.isArray(srcList) ? srcList : [srcList]).filter(Boolean);
+      const key = `${list.join('|')}#${synth || ''}`;
+      if (!cache.has(key)) cache.set(key, (async () => {
+        for (const src of list.filter(playable)){
+          if (!ctx) return { url: src, via: 'no-web-audio' };
+          try {
+            const buffer = await fetchBuffer(src);
+            if (buffer) return { buffer };
+          } catch (e) {
+            // fetch() can't read file:// pages; let an <audio> element try instead
+            if (e instanceof TypeError) return { url: src, via: 'no-fetch' };
+          }
+        }
+        if (synth && ctx && SYNTHS[synth]) return { buffer: SYNTHS[synth](ctx), synth };
+        return null;
+      })());
+      return cache.get(key);
+    }
+
+    // Starts a clip and returns a voice ({ stop, setPan }) or null if it couldn't play
+    function play(clip, { bus = 'sfx', volume = 1, loop = false, pan = 0 } = {}){
+      if (!clip || !ready()) return null;
+      const mine = [...voices].filter(v => v.clip === clip);
+      if (mine.length >= MAX_VOICES) mine[0].stop();
+      const voice = clip.buffer ? bufferVoice(clip, bus, volume, loop, pan) : elementVoice(clip, bus, volume, loop);
+      if (voice) voices.add(voice);
+      return voice;
+    }
+    function bufferVoice(clip, bus, volume, loop, pan){
+      const src = ctx.createBufferSource();
+      src.buffer = clip.buffer; src.loop = loop;
+      const gain = ctx.createGain();
+      gain.gain.value = volume;
+      const panner = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+      src.connect(gain);
+      if (panner){ panner.pan.value = pan; gain.connect(panner); panner.connect(out[bus]); }
+      else gain.connect(out[bus]);
+      const voice = {
+        clip, bus,
+        stop(){
+          if (!voices.delete(voice)) return;
+          try { src.stop(); } catch {}
+          src.disconnect();
+        },
+        setPan(p){ if (panner) panner.pan.value = p; },
+      };
+      src.onended = () => voice.stop();
+      src.start();
+      return voice;
+    }
+    // No panning here; volume follows the bus sliders by hand
+    function elementVoice(clip, bus, volume, loop){
+      if (typeof Audio === 'undefined') return null;
+      const el = new Audio(clip.url);
+      el.loop = loop;
+      const voice = {
+        clip, bus,
+        applyVolume(){ el.volume = clamp01(volume * busLevel(bus)); },
+        stop(){ if (voices.delete(voice)) try { el.pause(); } catch {} },
+        pause(){ try { el.pause(); } catch {} },
+        resume(){ el.play()?.catch?.(() => voice.stop()); },
+        setPan(){},
+      };
+      voice.applyVolume();
+      el.onended = () => voice.stop();
+      el.onerror = () => voice.stop();
+      el.play()?.catch?.(() => voice.stop());
+      return voice;
+    }
+    function stopAll(bus = 'sfx'){
+      for (const v of [...voices]) if (v.bus === bus) v.stop();
+    }
+
+    // One looping music track at a time; asking for the one already playing is a no-op
+    function playMusic(clip, volume = 1){
+      if (music?.clip === clip && music.voice && voices.has(music.voice)) return;
+      stopMusic();
+      const voice = play(clip, { bus: 'music', volume, loop: true });
+      music = voice ? { clip, voice } : null;
+    }
+    function stopMusic(){ music?.voice.stop(); music = null; }
+    const musicPlaying = () => !!music && voices.has(music.voice);
+    // Stops every voice and releases the audio context; nothing plays after this
+    function close(){
+      if (closed) return;
+      closed = true;
+      for (const v of [...voices]) v.stop();
+      music = null;
+      ctx?.close?.().catch(() => {});
+    }
+
+    function set(bus, value){
+      if (!BUSES.includes(bus)) return;
+      settings[bus] = clamp01(value);
+      applySettings();
+    }
+    function setMuted(muted){
+      settings.muted = !!muted;
+      applySettings();
+    }
+
+    return {
+      get context(){ return ctx; },
+      get settings(){ return { ...settings }; },
+      get paused(){ return paused; },
+      unlock, ready, pause, resume, load, play, stopAll, playMusic, stopMusic, musicPlaying, set, setMuted, close,
+    };
+  }
+
+  return { BUSES, DEFAULT_SETTINGS, SYNTHS, createMixer };
+});
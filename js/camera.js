@@ -0,0 +1,64 @@
+// Fixed virtual screen and follow camera: how the world maps onto the view, and the view onto the canvas
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).camera = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  // Everything is laid out for a 960x540 view whatever the window size; the stage is wider than
+  // the view and the camera picks what part of it is shown.
+  const VIEW_W = 960, VIEW_H = 540;
+  const STAGE = { width: 1440, groundY: 480, scale: 4 };
+
+  // Where the view goes on a canvas of cssW x cssH CSS pixels: the backing store is sized in device
+  // pixels, and the view is scaled by a whole number so sprite pixels stay square, centred with
+  // letterbox bars around it. A canvas smaller than the view falls back to a fractional scale.
+  function fitViewport(cssW, cssH, dpr=1){
+    const width = Math.max(1, Math.round(cssW * dpr)), height = Math.max(1, Math.round(cssH * dpr));
+    const fit = Math.min(width / VIEW_W, height / VIEW_H);
+    const scale = fit >= 1 ? Math.floor(fit) : fit;
+    const x = Math.round((width - VIEW_W * scale) / 2), y = Math.round((height - VIEW_H * scale) / 2);
+    return { width, height, scale, x, y };
+  }
+
+  // Keeps both fighters in frame: pans to the midpoint and zooms out as they separate, down to
+  // showing the whole stage. The ground stays at groundViewY on screen whatever the zoom or the stage.
+  // margin: world px kept clear beyond each fighter's centre; ease: fraction of the way to the
+  // target covered per 1/60 s.
+  function createCamera({ stage = STAGE, margin = 200, maxZoom = 1, ease = 0.12, groundViewY = STAGE.groundY } = {}){
+    const cam = { x: stage.width / 2, zoom: 1, stage: { ...stage } };
+    let snapNext = true;
+    const minZoom = () => Math.min(maxZoom, VIEW_W / cam.stage.width);
+    function target(xs){
+      const lo = Math.min(...xs) - margin, hi = Math.max(...xs) + margin;
+      const zoom = Math.max(minZoom(), Math.min(maxZoom, VIEW_W / (hi - lo)));
+      const half = VIEW_W / zoom / 2;
+      const x = Math.max(half, Math.min(cam.stage.width - half, (lo + hi) / 2));
+      return { x, zoom };
+    }
+    return Object.assign(cam, {
+      setStage(next){ Object.assign(cam.stage, next); snapNext = true; },
+      // Jump straight to the target on the next update (new match, seeking)
+      snap(){ snapNext = true; },
+      update(xs, dt=1000/60){
+        const t = target(xs);
+        const k = snapNext ? 1 : 1 - Math.pow(1 - ease, dt / (1000 / 60));
+        snapNext = false;
+        cam.zoom += (t.zoom - cam.zoom) * k;
+        cam.x += (t.x - cam.x) * k;
+      },
+      // World -> view transform, applied on top of the viewport transform
+      apply(ctx){
+        const left = cam.x - VIEW_W / cam.zoom / 2;
+        ctx.translate(-left * cam.zoom, groundViewY - cam.stage.groundY * cam.zoom);
+        ctx.scale(cam.zoom, cam.zoom);
+      },
+      // World rect currently in view
+      bounds(){
+        const w = VIEW_W / cam.zoom, h = VIEW_H / cam.zoom;
+        return { x: cam.x - w / 2, y: cam.stage.groundY - groundViewY / cam.zoom, w, h };
+      },
+    });
+  }
+
+  return { VIEW_W, VIEW_H, STAGE, fitViewport, createCamera };
+});
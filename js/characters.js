@@ -0,0 +1,274 @@
+// Character manifests: loading and validating the fighters' JSON definitions
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).characters = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  // Animations every fighter must provide; the rest are optional
+  const REQUIRED_ANIMATIONS = ['idle', 'attack'];
+  const KNOWN_ANIMATIONS = ['idle', 'walk', 'walkback', 'jump', 'crouch', 'hitstun', 'attack', 'taunt', 'giveup', 'block'];
+  const GUARD_KEYS = ['max', 'chip', 'cost', 'stunMs', 'breakMs', 'regenPerSec', 'regenDelayMs'];
+  const PHYSICS_KEYS = ['jumpSpeed', 'gravity', 'friction', 'knockback', 'blockPush', 'hitstunMs', 'push', 'crouch', 'dashSpeed', 'dashMs'];
+  const IMAGE_EXT = /\.(png|webp|gif|jpe?g)$/i;
+  const AUDIO_EXT = /\.(wav|mp3|ogg)$/i;
+  const SYNTH_NAMES = ['steps', 'round', 'ko']; // procedural fallbacks in js/audio.js
+  const MOTION_NAMES = ['qcf', 'qcb', 'dp', 'dashf', 'dashb']; // motion inputs in js/moves.js
+  const MOVE_KEYS = ['name', 'anim', 'motion', 'damage', 'meter', 'gain', 'fps', 'knockback', 'hitstunMs', 'cancels', 'cancelFrames', 'chainOnly', 'air', 'sound'];
+  const METER_MAX = 100;
+  // Palettes recolour a fighter with a canvas filter; the manifest's own colours always come first
+  const ORIGINAL_PALETTE = { name: 'Original', filter: '' };
+  const MAX_PALETTES = 6;
+  const FILTER = /^(\s*(hue-rotate\(-?\d+(\.\d+)?deg\)|(saturate|brightness|contrast|sepia|grayscale|invert)\(\d+(\.\d+)?%?\)))+\s*$/;
+  // Fighters without a `moves` table get a single attack on the attack button, usable in the air
+  const DEFAULT_MOVES = { attack: { anim: 'attack', air: true } };
+
+  // The roster shipped with the game: one manifest per fighter in characters/<id>.json
+  const ROSTER = ['soap', 'man'];
+  const ROSTER_DIR = 'characters/';
+
+  // Parse a trailing number in filename as frameCount, e.g., soapidle_12.png or man-attack@6.png
+  function parseFrameHint(path){
+    try {
+      const file = path.split('\\').pop().split('/').pop();
+      const name = file.replace(/\.[^.]+$/, '');
+      const m = name.match(/(?:[_@-]f?)(\d+)$|([^0-9])(\d+)$/i);
+      if (!m) return 0;
+      const num = m[1] || m[3];
+      const n = parseInt(num, 10);
+      return Number.isFinite(n) && n > 0 ? n : 0;
+    } catch { return 0; }
+  }
+  // Frame count the simulation uses: explicit frameCount, else the file name hint
+  function frameCountOf(anim){ return anim.frameCount || parseFrameHint(anim.src) || 0; }
+
+  class ManifestError extends Error {
+    constructor(id, issues){
+      super(`Invalid character manifest "${id}":\n - ${issues.join('\n - ')}`);
+      this.name = 'ManifestError';
+      this.id = id;
+      this.issues = issues;
+    }
+  }
+
+  const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isPos = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+  const isRatio = (v) => typeof v === 'number' && Number.isFinite(v) && v >= -1 && v <= 2;
+  function checkPath(p, ext, where, issues){
+    if (typeof p !== 'string' || !p.trim()) { issues.push(`${where}: path must be a non-empty string`); return; }
+    if (/^\s|\s$/.test(p)) issues.push(`${where}: path "${p}" has leading/trailing whitespace`);
+    if (p.includes('\\')) issues.push(`${where}: path "${p}" uses backslashes; use forward slashes`);
+    if (!ext.test(p)) issues.push(`${where}: path "${p}" has an unsupported file extension`);
+  }
+  function checkBox(box, keys, where, issues){
+    if (box === undefined) return;
+    if (!isObj(box)) { issues.push(`${where}: must be an object`); return; }
+    for (const k of keys){
+      if (box[k] !== undefined && !isRatio(box[k])) issues.push(`${where}.${k}: must be a ratio of the frame size`);
+    }
+  }
+  function checkBoxList(list, where, issues){
+    if (list === undefined) return;
+    if (!Array.isArray(list)) { issues.push(`${where}: must be an array of boxes`); return; }
+    list.forEach((b, i) => {
+      checkBox(b, ['x', 'y', 'w', 'h'], `${where}[${i}]`, issues);
+      if (isObj(b) && !(isPos(b.w) && isPos(b.h))) issues.push(`${where}[${i}]: needs positive w and h`);
+    });
+  }
+  // Per-frame collision data on an animation: phase counts, default boxes, per-frame overrides
+  function checkFrameBoxes(b, frameCount, where, issues){
+    if (b === undefined) return;
+    if (!isObj(b)) { issues.push(`${where}: must be an object`); return; }
+    const isCount = (v) => Number.isInteger(v) && v >= 0;
+    for (const k of ['startup', 'active', 'recovery']){
+      if (b[k] !== undefined && !isCount(b[k])) issues.push(`${where}.${k}: must be a whole number of frames`);
+    }
+    if ((b.startup !== undefined || b.recovery !== undefined) && b.active === undefined) issues.push(`${where}.active: required when startup/recovery are given`);
+    const sum = (b.startup || 0) + (b.active || 0) + (b.recovery || 0);
+    if (frameCount && sum > frameCount) issues.push(`${where}: startup+active+recovery (${sum}) exceeds frameCount (${frameCount})`);
+    checkBoxList(b.hurt, `${where}.hurt`, issues);
+    checkBoxList(b.hit, `${where}.hit`, issues);
+    if (b.frames !== undefined){
+      if (!isObj(b.frames)) { issues.push(`${where}.frames: must be an object keyed by frame index`); return; }
+      for (const [k, f] of Object.entries(b.frames)){
+        if (!/^\d+$/.test(k)) { issues.push(`${where}.frames.${k}: key must be a frame index`); continue; }
+        if (frameCount && +k >= frameCount) issues.push(`${where}.frames.${k}: past the last frame (${frameCount - 1})`);
+        if (!isObj(f)) { issues.push(`${where}.frames.${k}: must be an object`); continue; }
+        checkBoxList(f.hurt, `${where}.frames.${k}.hurt`, issues);
+        checkBoxList(f.hit, `${where}.frames.${k}.hit`, issues);
+      }
+    }
+  }
+
+  // Move table: every move plays one of the fighter's animations; cancels name other moves
+  function checkMoves(moves, m, issues){
+    if (moves === undefined) return;
+    if (!isObj(moves) || !Object.keys(moves).length) { issues.push('moves: must be an object keyed by move name'); return; }
+    const anims = isObj(m.animations) ? m.animations : {};
+    for (const [name, mv] of Object.entries(moves)){
+      const where = `moves.${name}`;
+      if (!isObj(mv)) { issues.push(`${where}: must be an object`); continue; }
+      for (const k of Object.keys(mv)){
+        if (!MOVE_KEYS.includes(k)) issues.push(`${where}.${k}: unknown key (expected one of ${MOVE_KEYS.join(', ')})`);
+      }
+      if (mv.name !== undefined && typeof mv.name !== 'string') issues.push(`${where}.name: must be a string`);
+      if (typeof mv.anim !== 'string' || !anims[mv.anim]) issues.push(`${where}.anim: must name one of the fighter's animations`);
+      if (mv.motion !== undefined && !MOTION_NAMES.includes(mv.motion)) issues.push(`${where}.motion: must be one of ${MOTION_NAMES.join(', ')}`);
+      for (const k of ['damage', 'fps']){
+        if (mv[k] !== undefined && !isPos(mv[k])) issues.push(`${where}.${k}: must be a positive number`);
+      }
+      for (const k of ['meter', 'gain', 'knockback', 'hitstunMs']){
+        if (mv[k] !== undefined && !(typeof mv[k] === 'number' && Number.isFinite(mv[k]) && mv[k] >= 0)) issues.push(`${where}.${k}: must be a non-negative number`);
+      }
+      if (typeof mv.meter === 'number' && mv.meter > METER_MAX) issues.push(`${where}.meter: can't cost more than a full meter (${METER_MAX})`);
+      for (const k of ['chainOnly', 'air']){
+        if (mv[k] !== undefined && typeof mv[k] !== 'boolean') issues.push(`${where}.${k}: must be true or false`);
+      }
+      if (mv.cancels !== undefined){
+        if (!Array.isArray(mv.cancels)) issues.push(`${where}.cancels: must be an array of move names`);
+        else for (const c of mv.cancels) if (!moves[c]) issues.push(`${where}.cancels: "${c}" is not a move`);
+      }
+      if (mv.cancelFrames !== undefined){
+        const cf = mv.cancelFrames;
+        const frames = isObj(anims[mv.anim]) && typeof anims[mv.anim].src === 'string' ? frameCountOf(anims[mv.anim]) : 0;
+        if (!Array.isArray(cf) || cf.length !== 2 || !cf.every(v => Number.isInteger(v) && v >= 0) || cf[0] > cf[1]) issues.push(`${where}.cancelFrames: must be [first, last] frame indices`);
+        else if (frames && cf[1] >= frames) issues.push(`${where}.cancelFrames: past the last frame (${frames - 1})`);
+      }
+      if (mv.sound !== undefined && !(isObj(m.sounds) && m.sounds[mv.sound])) issues.push(`${where}.sound: must name one of the fighter's sounds`);
+    }
+    if (!Object.values(moves).some(mv => isObj(mv) && !mv.motion && !mv.chainOnly)) issues.push('moves: needs at least one plain move (no motion, not chainOnly) for the attack button');
+  }
+
+  // Frame events: { frameIndex: [{ sound: name } | { effect: name }] }, fired as the frame is entered
+  function checkFrameEvents(ev, frameCount, where, m, issues){
+    if (ev === undefined) return;
+    if (!isObj(ev)) { issues.push(`${where}: must be an object keyed by frame index`); return; }
+    for (const [k, list] of Object.entries(ev)){
+      if (!/^\d+$/.test(k)) { issues.push(`${where}.${k}: key must be a frame index`); continue; }
+      if (frameCount && +k >= frameCount) issues.push(`${where}.${k}: past the last frame (${frameCount - 1})`);
+      if (!Array.isArray(list)) { issues.push(`${where}.${k}: must be an array of events`); continue; }
+      list.forEach((e, i) => {
+        const at = `${where}.${k}[${i}]`;
+        if (!isObj(e) || Object.keys(e).length !== 1 || !(typeof e.sound === 'string' || typeof e.effect === 'string')) issues.push(`${at}: must be { sound: name } or { effect: name }`);
+        else if (e.sound !== undefined && !(isObj(m.sounds) && m.sounds[e.sound])) issues.push(`${at}.sound: "${e.sound}" is not one of the fighter's sounds`);
+        else if (e.effect !== undefined && !e.effect.trim()) issues.push(`${at}.effect: must be a non-empty name`);
+      });
+    }
+  }
+
+  // Returns a list of human-readable problems; empty means the manifest is usable
+  function validateManifest(m){
+    const issues = [];
+    if (!isObj(m)) return ['manifest must be an object'];
+    if (typeof m.id !== 'string' || !/^[a-z0-9_-]+$/i.test(m.id)) issues.push('id: must be a simple identifier (letters, digits, _ or -)');
+    if (m.name !== undefined && typeof m.name !== 'string') issues.push('name: must be a string');
+    if (m.tile !== undefined){
+      if (!isObj(m.tile) || !isPos(m.tile.w) || !isPos(m.tile.h)) issues.push('tile: must be { w, h } with positive sizes');
+    }
+    if (m.stats !== undefined){
+      if (!isObj(m.stats)) issues.push('stats: must be an object');
+      else for (const k of ['maxHp', 'damage', 'walkSpeed']){
+        if (m.stats[k] !== undefined && !isPos(m.stats[k])) issues.push(`stats.${k}: must be a positive number`);
+      }
+    }
+    if (m.guard !== undefined){
+      if (!isObj(m.guard)) issues.push('guard: must be an object');
+      else for (const [k, v] of Object.entries(m.guard)){
+        if (!GUARD_KEYS.includes(k)) issues.push(`guard.${k}: unknown key (expected one of ${GUARD_KEYS.join(', ')})`);
+        else if (!(typeof v === 'number' && Number.isFinite(v) && v >= 0)) issues.push(`guard.${k}: must be a non-negative number`);
+        else if (k === 'chip' && v > 1) issues.push('guard.chip: must be a fraction of damage (0-1)');
+      }
+    }
+    if (m.physics !== undefined){
+      if (!isObj(m.physics)) issues.push('physics: must be an object');
+      else for (const [k, v] of Object.entries(m.physics)){
+        if (!PHYSICS_KEYS.includes(k)) issues.push(`physics.${k}: unknown key (expected one of ${PHYSICS_KEYS.join(', ')})`);
+        else if (!(typeof v === 'number' && Number.isFinite(v) && v >= 0)) issues.push(`physics.${k}: must be a non-negative number`);
+        else if ((k === 'push' || k === 'crouch') && v > 1) issues.push(`physics.${k}: must be a fraction of the frame size (0-1)`);
+      }
+    }
+    if (m.boxes !== undefined){
+      if (!isObj(m.boxes)) issues.push('boxes: must be an object');
+      else {
+        checkBox(m.boxes.hurtbox, ['w', 'h'], 'boxes.hurtbox', issues);
+        checkBox(m.boxes.hitbox, ['x', 'y', 'w', 'h'], 'boxes.hitbox', issues);
+      }
+    }
+    if (!isObj(m.animations)) issues.push('animations: must be an object keyed by animation name');
+    else {
+      for (const name of REQUIRED_ANIMATIONS){
+        if (!m.animations[name]) issues.push(`animations.${name}: missing (required)`);
+      }
+      for (const [name, a] of Object.entries(m.animations)){
+        const where = `animations.${name}`;
+        if (!KNOWN_ANIMATIONS.includes(name)) issues.push(`${where}: unknown animation (expected one of ${KNOWN_ANIMATIONS.join(', ')})`);
+        if (!isObj(a)) { issues.push(`${where}: must be an object`); continue; }
+        checkPath(a.src, IMAGE_EXT, `${where}.src`, issues);
+        if (a.frameCount !== undefined && !(Number.isInteger(a.frameCount) && a.frameCount >= 0)) issues.push(`${where}.frameCount: must be a whole number (0 = use the file name hint)`);
+        else if (typeof a.src === 'string' && !frameCountOf(a)) issues.push(`${where}.frameCount: required when the file name has no _N frame hint`);
+        if (a.fps !== undefined && !isPos(a.fps)) issues.push(`${where}.fps: must be a positive number`);
+        if (a.loop !== undefined && typeof a.loop !== 'boolean') issues.push(`${where}.loop: must be true or false`);
+        checkFrameBoxes(a.boxes, typeof a.src === 'string' ? frameCountOf(a) : 0, `${where}.boxes`, issues);
+        checkFrameEvents(a.events, typeof a.src === 'string' ? frameCountOf(a) : 0, `${where}.events`, m, issues);
+      }
+    }
+    checkMoves(m.moves, m, issues);
+    if (m.palettes !== undefined){
+      if (!Array.isArray(m.palettes)) issues.push('palettes: must be an array of { name, filter }');
+      else {
+        if (m.palettes.length > MAX_PALETTES) issues.push(`palettes: at most ${MAX_PALETTES} besides the original colours`);
+        m.palettes.forEach((p, i) => {
+          if (!isObj(p) || typeof p.name !== 'string' || !p.name.trim()) issues.push(`palettes[${i}].name: must be a non-empty string`);
+          else if (typeof p.filter !== 'string' || !FILTER.test(p.filter)) issues.push(`palettes[${i}].filter: must be canvas filter functions (hue-rotate, saturate, brightness, contrast, sepia, grayscale, invert)`);
+        });
+      }
+    }
+    if (m.sounds !== undefined){
+      if (!isObj(m.sounds)) issues.push('sounds: must be an object keyed by sound name');
+      else for (const [name, s] of Object.entries(m.sounds)){
+        const where = `sounds.${name}`;
+        if (!isObj(s)) { issues.push(`${where}: must be an object`); continue; }
+        const list = s.src === undefined ? [] : Array.isArray(s.src) ? s.src : [s.src];
+        if (!list.length && s.synth === undefined) issues.push(`${where}: needs files (src) or a synth`);
+        list.forEach((p, i) => checkPath(p, AUDIO_EXT, `${where}.src[${i}]`, issues));
+        if (s.volume !== undefined && !(typeof s.volume === 'number' && s.volume >= 0 && s.volume <= 1)) issues.push(`${where}.volume: must be between 0 and 1`);
+        if (s.loop !== undefined && typeof s.loop !== 'boolean') issues.push(`${where}.loop: must be true or false`);
+        if (s.synth !== undefined && !SYNTH_NAMES.includes(s.synth)) issues.push(`${where}.synth: must be one of ${SYNTH_NAMES.join(', ')}`);
+      }
+    }
+    return issues;
+  }
+
+  // Throws ManifestError listing every problem at once
+  function assertManifest(m){
+    const issues = validateManifest(m);
+    if (issues.length) throw new ManifestError(m && m.id || '?', issues);
+    return m;
+  }
+
+  // The colours a fighter can be picked in: its original colours, then the manifest's palettes
+  function palettesOf(m){ return [ORIGINAL_PALETTE, ...(m.palettes || [])]; }
+  // Canvas filter for palette index i ('' for the original colours or an unknown index)
+  function paletteFilter(m, i){ return palettesOf(m)[i | 0]?.filter || ''; }
+
+  // Fetch and validate a .json manifest (needs the page served over http, not file://)
+  async function loadManifest(url, { fetch = globalThis.fetch } = {}){
+    let res;
+    try { res = await fetch(url); }
+    catch (e) { throw new ManifestError(url, [`could not fetch ${url}: ${e.message}`]); }
+    if (!res.ok) throw new ManifestError(url, [`could not fetch ${url}: HTTP ${res.status}`]);
+    let data;
+    try { data = await res.json(); }
+    catch (e) { throw new ManifestError(url, [`${url} is not valid JSON: ${e.message}`]); }
+    return assertManifest(data);
+  }
+  // Every roster manifest, keyed by id; rejects with the first ManifestError
+  async function loadRoster({ ids = ROSTER, dir = ROSTER_DIR, fetch } = {}){
+    const list = await Promise.all(ids.map(id => loadManifest(`${dir}${id}.json`, { fetch })));
+    for (const [i, m] of list.entries()){
+      if (m.id !== ids[i]) throw new ManifestError(ids[i], [`id: "${m.id}" doesn't match its file name`]);
+    }
+    return Object.fromEntries(list.map(m => [m.id, m]));
+  }
+
+  return { ROSTER, ROSTER_DIR, REQUIRED_ANIMATIONS, KNOWN_ANIMATIONS, DEFAULT_MOVES, METER_MAX, ManifestError, parseFrameHint, frameCountOf, validateManifest, assertManifest, palettesOf, paletteFilter, loadManifest, loadRoster };
+});
@@ -0,0 +1,124 @@
+// Game-feel effects drawn over the fight: hit-stop, camera shake, pooled particles and damage numbers
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).effects = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  const POOL_SIZE = 240; // particles are recycled; a burst with no free slot is cut short
+  const POPUP_MS = 800;
+  // Particle kinds. speed px/s, life ms, size px, gravity px/s² (negative floats up),
+  // spread: radians either side of the burst direction; up: aim upward instead of sideways.
+  const PARTICLES = {
+    spark: { count: 12, speed: [180, 460], life: [140, 300], size: [2, 4], gravity: 700, spread: 0.9, colors: ['#fff7ed', '#fde68a', '#fbbf24'] },
+    block: { count: 8, speed: [120, 300], life: [120, 240], size: [2, 3], gravity: 400, spread: 1.1, colors: ['#e0f2fe', '#93c5fd', '#60a5fa'] },
+    dust: { count: 7, speed: [40, 130], life: [260, 480], size: [3, 6], gravity: -30, spread: 1.3, up: true, colors: ['#94a3b8', '#64748b'] },
+    bubbles: { count: 6, speed: [60, 160], life: [380, 640], size: [3, 7], gravity: -160, spread: 0.5, round: true, colors: ['#e0f2fe', '#bae6fd', '#7dd3fc'] },
+    swipe: { count: 6, speed: [220, 380], life: [90, 180], size: [2, 3], gravity: 0, spread: 0.35, colors: ['#fecaca', '#f8fafc'] },
+    ko: { count: 28, speed: [220, 620], life: [260, 600], size: [3, 6], gravity: 500, spread: Math.PI, colors: ['#fef08a', '#fde68a', '#f97316', '#fff7ed'] },
+  };
+  // With reduced motion there is no hit-stop or shake, and bursts are thinned out
+  const REDUCED_COUNT = 0.3;
+
+  // Runs on wall-clock time in the render loop, never inside the simulation, so effects can't
+  // change a match or a replay. The game (js/game.js) holds off simulation ticks while frozen() is true.
+  function createEffects({ reducedMotion = false, random = Math.random } = {}){
+    let reduced = !!reducedMotion;
+    let freezeMs = 0;
+    let shakeMs = 0, shakeTotal = 0, shakePx = 0;
+    const pool = Array.from({ length: POOL_SIZE }, () => ({ live: false }));
+    const popups = [];
+    const between = ([a, b]) => a + random() * (b - a);
+
+    function hitstop(ms){ if (!reduced) freezeMs = Math.max(freezeMs, ms); }
+    const frozen = () => freezeMs > 0;
+    // A stronger shake replaces a weaker one; it fades out over its duration
+    function shake(px, ms){
+      if (reduced || px < shakePx * (shakeMs / (shakeTotal || 1))) return;
+      shakePx = px; shakeMs = shakeTotal = ms;
+    }
+    function offset(){
+      if (shakeMs <= 0) return { x: 0, y: 0 };
+      const k = shakePx * (shakeMs / shakeTotal);
+      return { x: (random() * 2 - 1) * k, y: (random() * 2 - 1) * k };
+    }
+    // dir 1 sprays to the right, -1 to the left; scale multiplies count and speed
+    function burst(kind, x, y, dir=1, scale=1){
+      const p = PARTICLES[kind]; if (!p) return;
+      let n = Math.round(p.count * scale * (reduced ? REDUCED_COUNT : 1));
+      for (const part of pool){
+        if (n <= 0) break;
+        if (part.live) continue;
+        n--;
+        const base = p.up ? -Math.PI / 2 : dir < 0 ? Math.PI : 0;
+        const angle = base + (random() * 2 - 1) * p.spread;
+        const speed = between(p.speed) * Math.min(2, scale);
+        Object.assign(part, {
+          live: true, x, y, vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed,
+          life: between(p.life), age: 0, size: between(p.size), gravity: p.gravity, round: !!p.round,
+          color: p.colors[(random() * p.colors.length) | 0],
+        });
+      }
+    }
+    // Floating text (damage numbers); it only fades in place with reduced motion
+    function popup(text, x, y, color='#fde68a'){
+      popups.push({ text: String(text), x, y, color, age: 0 });
+      if (popups.length > 24) popups.shift();
+    }
+
+    function update(dt){
+      dt = Math.max(0, Math.min(100, dt));
+      if (freezeMs > 0) freezeMs = Math.max(0, freezeMs - dt);
+      if (shakeMs > 0) shakeMs = Math.max(0, shakeMs - dt);
+      const s = dt / 1000;
+      for (const part of pool){
+        if (!part.live) continue;
+        part.age += dt;
+        if (part.age >= part.life){ part.live = false; continue; }
+        part.vy += part.gravity * s;
+        part.x += part.vx * s; part.y += part.vy * s;
+      }
+      for (let i = popups.length - 1; i >= 0; i--){
+        const pop = popups[i];
+        pop.age += dt;
+        if (pop.age >= POPUP_MS) popups.splice(i, 1);
+      }
+    }
+    function draw(ctx){
+      ctx.save();
+      for (const part of pool){
+        if (!part.live) continue;
+        ctx.globalAlpha = 1 - part.age / part.life;
+        ctx.fillStyle = part.color;
+        if (part.round){
+          ctx.beginPath(); ctx.arc(part.x, part.y, part.size / 2, 0, Math.PI * 2); ctx.fill();
+        } else {
+          ctx.fillRect(part.x - part.size / 2, part.y - part.size / 2, part.size, part.size);
+        }
+      }
+      ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
+      ctx.font = '800 22px system-ui, Segoe UI, Arial';
+      ctx.lineWidth = 4; ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+      for (const pop of popups){
+        const t = pop.age / POPUP_MS;
+        const y = pop.y - (reduced ? 0 : 36 * t);
+        ctx.globalAlpha = t < 0.6 ? 1 : 1 - (t - 0.6) / 0.4;
+        ctx.strokeText(pop.text, pop.x, y);
+        ctx.fillStyle = pop.color; ctx.fillText(pop.text, pop.x, y);
+      }
+      ctx.restore();
+    }
+    function clear(){
+      freezeMs = 0; shakeMs = 0; shakePx = 0;
+      for (const part of pool) part.live = false;
+      popups.length = 0;
+    }
+
+    return {
+      hitstop, frozen, shake, offset, burst, popup, update, draw, clear,
+      get reducedMotion(){ return reduced; },
+      set reducedMotion(on){ reduced = !!on; if (reduced){ freezeMs = 0; shakeMs = 0; } },
+    };
+  }
+
+  return { POOL_SIZE, PARTICLES, createEffects };
+});
@@ -0,0 +1,1678 @@
+// The game on a page: createGame(container, options) runs it in the markup under `container` and
+// hands back an instance the host page can start, pause, listen to and tear down. The canvas
+// engine is tuned for 80x80 tiles and single-frame slicing.
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).game = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  // Events for the host page, from game.on(type, fn). They come from the live match only (never
+  // from a replay being watched) and each carries its `type` and the game's `mode`:
+  //   roundStart { round, bestOf }                   the countdown is over and the round is on
+  //   hit        { attacker, result, move, damage }  a swing connected ('hit', 'blocked' or 'guardbreak')
+  //   ko         { winner, reason, wins, round }     a round is decided (winner null for a drawn time-out)
+  //   matchEnd   { winner, wins, rounds, stats, fighters, unlocked, arcade }  the results are up
+  //   pause, resume                                  the pause menu opened or closed
+  const EVENTS = ['roundStart', 'hit', 'ko', 'matchEnd', 'pause', 'resume'];
+  // What start() can begin: the intro panel's buttons (arcade opens on the first fight's story)
+  const MODES = ['solo', 'arcade', 'versus', 'training'];
+  // Attributes that name other elements by id, rewritten along with the ids
+  const ID_REFS = ['for', 'aria-labelledby', 'aria-describedby', 'aria-controls'];
+  let games = 0;
+
+  // Each game's ids, the references to them and its radio group names get the game's own prefix,
+  // so games on one page never share a radio group or point a label at another game's field
+  function scopeMarkup(root, prefix){
+    for (const el of root.querySelectorAll('[id]')) el.id = prefix + el.id;
+    for (const attr of ID_REFS){
+      for (const el of root.querySelectorAll(`[${attr}]`)) el.setAttribute(attr, el.getAttribute(attr).split(/\s+/).map(id => prefix + id).join(' '));
+    }
+    for (const el of root.querySelectorAll('input[name]')) el.name = prefix + el.name;
+  }
+
+  // container holds the game's markup (the .stageWrap section of index.html). Its ids and radio
+  // names are prefixed with `ledger<n>-` for this game (see scopeMarkup). The game takes the
+  // keyboard only while focus is inside the container, which a click or a started match gives it.
+  // Options:
+  //   roster   - the fighters' manifests keyed by id, as Ledger.characters.loadRoster() resolves them (required)
+  //   template - a <template> copied into the container first; destroy() empties the container again
+  //   search   - URL parameters for the settings overrides (default: the page's own)
+  function createGame(container, { roster, template = null, search } = {}){
+    if (!roster || !Object.keys(roster).length) throw new Error('createGame needs a roster of fighter manifests (see Ledger.characters.loadRoster)');
+    if (template) container.replaceChildren(template.content.cloneNode(true));
+    const prefix = `ledger${++games}-`;
+    scopeMarkup(container, prefix);
+    const $ = (id) => container.querySelector(`#${prefix}${id}`);
+    if (!container.hasAttribute('tabindex')) container.tabIndex = -1;
+    const hasFocus = () => container.contains(document.activeElement);
+    // Buttons that start or resume play hide themselves; focus moves to the game first so the keys keep working
+    const focusGame = () => container.focus({ preventScroll: true });
+    const lifetime = new AbortController(); // every listener the game adds goes with destroy()
+    const { signal } = lifetime;
+    const handlers = new Map(EVENTS.map(type => [type, new Set()]));
+    // A listener that throws is logged and doesn't stop the game
+    function emit(type, detail = {}){
+      for (const fn of [...handlers.get(type)]){
+        try { fn({ type, mode, ...detail }); }
+        catch (e) { console.error(e); }
+      }
+    }
+
+    // Stage
+    const canvas = $('game');
+    const host = $('stageHost');
+    const ctx = canvas.getContext('2d');
+    // The game draws into a fixed VIEW_W x VIEW_H view; the canvas backing store follows the host's
+    // size in device pixels and the view is scaled into it (whole-number scale, letterboxed).
+    const { VIEW_W, VIEW_H, STAGE, fitViewport, createCamera } = window.Ledger.camera;
+    let viewport = fitViewport(VIEW_W, VIEW_H);
+    function resize(){
+      const r = host.getBoundingClientRect();
+      viewport = fitViewport(r.width, r.height, window.devicePixelRatio || 1);
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      ctx.imageSmoothingEnabled = false; // crisp pixels
+    }
+    window.addEventListener('resize', resize, { signal });
+    // Resize canvas after stage is fitted by layout script
+    window.addEventListener('load', resize, { signal });
+    setTimeout(resize, 200);
+    resize();
+    const camera = createCamera({ stage: STAGE });
+
+    // Config
+    const TILE = 80; // each source frame is 80x80
+    const { assertManifest, frameCountOf, palettesOf, paletteFilter } = window.Ledger.characters;
+    const { createMatch, createFixedLoop, Fighter, READY_MS, TICK_HZ, TICK_MS, BEST_OF, ROUND_SECONDS } = window.Ledger.sim;
+    const { createRecorder, createPlayback, ReplayError } = window.Ledger.replay;
+    const { BUILTIN: STAGES, STAGE_IDS, DEFAULT_STAGE, assertStage, stageWorld } = window.Ledger.stages;
+    const input = window.Ledger.input;
+    // Settings: saved choices, with URL parameters on top for this visit (see js/settings.js).
+    // The mixer and the effects take their settings from here.
+    const settings = window.Ledger.settings.createSettings({ search });
+    // Audio: one mixer per game. Browsers only start audio from a gesture, so every
+    // pointer/key press retries until the context is running.
+    const mixer = window.Ledger.audio.createMixer();
+    for (const bus of window.Ledger.audio.BUSES) mixer.set(bus, settings.get(bus));
+    mixer.setMuted(settings.get('muted'));
+    const unlockAudio = () => {
+      mixer.unlock();
+      if (mixer.ready()) for (const t of ['pointerdown', 'keydown', 'touchend']) window.removeEventListener(t, unlockAudio, true);
+    };
+    for (const t of ['pointerdown', 'keydown', 'touchend']) window.addEventListener(t, unlockAudio, { capture: true, signal });
+
+    // Every sheet and sound is registered here so the intro can wait for them and report problems
+    const assets = window.Ledger.assets.createAssetManager({ mixer });
+
+    // Hit-stop, shake, particles and damage numbers run on wall time and never touch the simulation.
+    // Reduced motion starts from the OS setting until the player picks one.
+    const { createEffects } = window.Ledger.effects;
+    const effects = createEffects({ reducedMotion: settings.get('reducedMotion') });
+
+    // FighterView owns a fighter's sheets and sounds and draws whatever state the simulation is in.
+    // A view made from `base` shares its sheets and clips but keeps its own looping voices, so the
+    // same fighter can be on both sides. `filter` is the palette's canvas filter ('' for none).
+    class FighterView {
+      constructor(manifest, base=null){
+        const m = assertManifest(manifest);
+        this.voices = {}; // looping sound name -> voice
+        this.allowFlip = true;
+        this.filter = '';
+        if (base){ this.sheets = base.sheets; this.sounds = base.sounds; return; }
+        const tileW = m.tile?.w || TILE, tileH = m.tile?.h || TILE;
+        this.sheets = new Map();
+        for (const [name, a] of Object.entries(m.animations)){
+          this.sheets.set(name, assets.sheet(a.src, { tileW, tileH, owner: m.id, name, frameCount: frameCountOf(a) }));
+        }
+        // Clips decode in the background; a sound asked for before its clip is ready is skipped
+        this.sounds = {};
+        for (const [name, snd] of Object.entries(m.sounds || {})){
+          const entry = this.sounds[name] = { clip: null, volume: snd.volume ?? 1, loop: !!snd.loop };
+          assets.sound(snd.src, { synth: snd.synth, owner: m.id, name }).then(clip => { entry.clip = clip; });
+        }
+      }
+      // Frame index comes from the simulation; the sheet grid only caps it
+      draw(ctx, f, alpha=1){
+        let name = f.animName();
+        // A broken sheet falls back to idle, and a broken idle to a placeholder, so the fighter never vanishes
+        if (!this.sheets.get(name)?.loaded && this.sheets.get('idle')?.loaded) name = 'idle';
+        const sheet = this.sheets.get(name);
+        if (!sheet?.loaded){ if (sheet?.failed) this.drawPlaceholder(ctx, f, alpha); return; }
+        const cols = sheet.cols; const rows = sheet.rows;
+        const fw = sheet.tileW, fh = sheet.tileH;
+        // Moves time their sheet on their own Anim; a fallback sheet uses its own
+        const a = name === f.animName() ? f.currentAnim() : f.anim.get(name);
+        const total = Math.min(a.total(), cols*rows);
+        const i = Math.max(0, Math.min(total-1, a.frame()));
+        const c = i % cols, r = (i/cols)|0;
+        const sx = c*fw, sy = r*fh;
+        const dw = fw*f.scale;
+        // No crouch sheet: squash the borrowed frame toward the feet to match the lowered hurtbox
+        const dh = fh*f.scale * (f.current === 'crouch' && !this.sheets.has('crouch') ? f.physics.crouch : 1);
+        // Interpolate between the last two ticks
+        const x = f.prevX + (f.x - f.prevX) * alpha;
+        const y = f.prevY + (f.y - f.prevY) * alpha;
+        const dx = (x - dw/2)|0; const dy = (y - dh)|0; // bottom-anchored
+        ctx.save();
+        if (this.filter) ctx.filter = this.filter;
+        const doFlip = f.facing === -1 && this.allowFlip;
+        if (doFlip){
+          ctx.scale(-1,1);
+          ctx.drawImage(sheet.image, sx, sy, fw, fh, -dx - dw, dy, dw, dh);
+        } else {
+          ctx.drawImage(sheet.image, sx, sy, fw, fh, dx, dy, dw, dh);
+        }
+        ctx.restore();
+      }
+      drawPlaceholder(ctx, f, alpha){
+        const { fw, fh } = f.getFrameSize();
+        const x = f.prevX + (f.x - f.prevX) * alpha;
+        const y = f.prevY + (f.y - f.prevY) * alpha;
+        const w = fw * 0.4, h = fh * 0.7;
+        ctx.save();
+        ctx.strokeStyle = '#f87171'; ctx.lineWidth = 2; ctx.setLineDash([6, 4]);
+        ctx.strokeRect(x - w/2, y - h, w, h);
+        ctx.fillStyle = '#fca5a5'; ctx.font = '600 12px system-ui, Segoe UI, Arial';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
+        ctx.fillText(`${f.id}: ${f.current}`, x, y - h - 4);
+        ctx.restore();
+      }
+      // Loops (walk) keep one voice and follow the fighter's pan; one-shots overlap freely
+      play(name, pan=0){
+        const s = this.sounds[name];
+        if (!s?.clip) return;
+        if (!s.loop){ mixer.play(s.clip, { volume: s.volume, pan }); return; }
+        if (!this.voices[name]) this.voices[name] = mixer.play(s.clip, { volume: s.volume, loop: true, pan });
+      }
+      stop(name){ this.voices[name]?.stop(); delete this.voices[name]; }
+      setPan(pan){ for (const v of Object.values(this.voices)) v?.setPan(pan); }
+      stopAll(){ for (const name of Object.keys(this.sounds)) this.stop(name); }
+      // Leave only `name` among the looping sounds playing (a rollback drops the events that start and stop them)
+      syncLoop(name, pan){
+        for (const [n, s] of Object.entries(this.sounds)) if (s.loop){ if (n === name) this.play(n, pan); else this.stop(n); }
+      }
+    }
+
+    // StageView draws a stage behind the fighters: parallax layers and props in world space.
+    // A layer's shapes stand in until its image has loaded (or if it fails). Props animate on wall
+    // time, like the effects, so they never touch the simulation; reduced motion stops the swaying.
+    class StageView {
+      constructor(stage){
+        this.stage = assertStage(stage);
+        this.sheets = new Map(); // layer or prop -> sheet
+        [...(stage.layers || []), ...(stage.props || [])].forEach((l, i) => {
+          if (!l.src) return;
+          const opts = l.tile ? { tileW: l.tile.w, tileH: l.tile.h, frameCount: l.frameCount || 0 } : { tileW: 0, tileH: 0 };
+          this.sheets.set(l, assets.sheet(l.src, { ...opts, owner: stage.id, name: `layer ${i + 1}` }));
+        });
+        this.music = null;
+        if (stage.music) assets.sound(stage.music.src, { synth: stage.music.synth, owner: stage.id, name: 'music', optional: true }).then(clip => { this.music = clip; });
+      }
+      drawSky(ctx){
+        const [top, bottom] = this.stage.sky || ['#0f172a', '#111827'];
+        const g = ctx.createLinearGradient(0, 0, 0, VIEW_H);
+        g.addColorStop(0, top); g.addColorStop(1, bottom);
+        ctx.fillStyle = g; ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+      }
+      // view: camera.bounds(); now: ms of wall time
+      drawBackdrop(ctx, view, now){
+        const centre = view.x + view.w / 2;
+        for (const l of this.stage.layers || []) this.drawLayer(ctx, l, view, centre, now);
+        for (const l of this.stage.props || []) this.drawLayer(ctx, l, view, centre, now);
+      }
+      drawGround(ctx, view){
+        const { groundY: gy, width, ground = {} } = this.stage;
+        ctx.fillStyle = ground.color || '#0b1321';
+        ctx.fillRect(view.x - 20, gy, view.w + 40, view.y + view.h - gy + 20);
+        ctx.fillStyle = ground.marks || '#1a2636';
+        for (let x = 0; x <= width; x += FLOOR_STEP) ctx.fillRect(x - 1, gy, 2, 10);
+      }
+      drawLayer(ctx, l, view, centre, now){
+        if (l.blink && (now % l.blink.ms) / l.blink.ms >= (l.blink.duty ?? 0.5)) return;
+        // A layer with parallax p drifts (1 - p) of the way along with the camera
+        let dx = (1 - (l.parallax ?? 1)) * (centre - this.stage.width / 2), dy = 0;
+        if (l.sway && !effects.reducedMotion){
+          const t = Math.sin((now / l.sway.ms) * Math.PI * 2);
+          dx += (l.sway.x || 0) * t; dy += (l.sway.y || 0) * t;
+        }
+        ctx.save();
+        ctx.translate(dx, dy);
+        const sheet = this.sheets.get(l);
+        if (sheet?.loaded) this.drawImage(ctx, l, sheet, view.x - dx, view.w, now);
+        else for (const sh of l.shapes || []) drawShape(ctx, sh);
+        ctx.restore();
+      }
+      drawImage(ctx, l, sheet, left, w, now){
+        const x = l.x || 0, y = l.y || 0;
+        if (l.tile){
+          const frame = Math.floor(now * (l.fps || 8) / 1000) % Math.max(1, Math.min(l.frameCount || 1, sheet.cols * sheet.rows));
+          const sx = (frame % sheet.cols) * sheet.tileW, sy = ((frame / sheet.cols) | 0) * sheet.tileH;
+          ctx.drawImage(sheet.image, sx, sy, sheet.tileW, sheet.tileH, x, y, sheet.tileW, sheet.tileH);
+          return;
+        }
+        const iw = sheet.image.naturalWidth || sheet.image.width;
+        if (!l.repeat || !iw){ ctx.drawImage(sheet.image, x, y); return; }
+        for (let ix = x + Math.floor((left - x) / iw) * iw; ix < left + w; ix += iw) ctx.drawImage(sheet.image, ix, y);
+      }
+    }
+    function drawShape(ctx, sh){
+      ctx.fillStyle = sh.color;
+      const r = sh.repeat || { count: 1 };
+      for (let i = 0; i < r.count; i++){
+        const x = sh.x + i * (r.dx || 0), y = sh.y + i * (r.dy || 0);
+        if (!sh.round){ ctx.fillRect(x, y, sh.w, sh.h); continue; }
+        ctx.beginPath(); ctx.ellipse(x + sh.w / 2, y + sh.h / 2, sh.w / 2, sh.h / 2, 0, 0, Math.PI * 2); ctx.fill();
+      }
+    }
+
+    // Scene setup: the world is the same on every screen, so distances mean the same everywhere.
+    // Every roster fighter gets a view per side up front, so the preload covers all of them.
+    const ROSTER = Object.keys(roster);
+    const SIDES = ['player', 'enemy'];
+    const fighterViews = new Map(); // `${side}:${id}` -> FighterView
+    function fighterView(side, manifest){
+      const key = `${side}:${manifest.id}`;
+      if (!fighterViews.has(key)){
+        const other = fighterViews.get(`${side === 'player' ? 'enemy' : 'player'}:${manifest.id}`);
+        fighterViews.set(key, new FighterView(manifest, other));
+      }
+      return fighterViews.get(key);
+    }
+    for (const id of ROSTER) for (const side of SIDES) fighterView(side, roster[id]);
+    const views = { player: null, enemy: null }; // views of the match on screen, set by syncViews()
+    const stageViews = Object.fromEntries(STAGE_IDS.map(id => [id, new StageView(STAGES[id])]));
+    // Floor markings every FLOOR_STEP world px, so camera pans read against the ground
+    const FLOOR_STEP = 120;
+    let mode = 'solo'; // 'solo' (vs AI) | 'arcade' (a ladder of AI fights) | 'versus' (two players, one keyboard) | 'online' (peer to peer) | 'training' (vs a dummy)
+    // Fighters and palettes picked on the select screen: P1 on the left; the right is the CPU in
+    // solo and P2 in versus. Online the guest's left pick becomes the host's right side.
+    const picks = { player: { id: ROSTER[0], palette: 0 }, enemy: { id: ROSTER[1] ?? ROSTER[0], palette: 0 } };
+    // A mirror match can't share colours: the right side moves on to its next palette
+    function enemyPalette(player, enemy){
+      const count = palettesOf(roster[enemy.id]).length;
+      return player.id === enemy.id && player.palette === enemy.palette ? (enemy.palette + 1) % count : enemy.palette;
+    }
+    function newMatchConfig(enemy = picks.enemy){
+      // Difficulty, match length and stage ('random' or an id) come from the settings
+      const choice = settings.get('stage');
+      const stage = choice === 'random' ? STAGE_IDS[(Math.random() * STAGE_IDS.length) | 0] : choice;
+      return {
+        player: roster[picks.player.id], enemy: roster[enemy.id],
+        palettes: { player: picks.player.palette, enemy: enemyPalette(picks.player, enemy) },
+        seed: (Math.random() * 0x100000000) >>> 0,
+        stage, world: stageWorld(STAGES[stage]),
+        p2Human: mode !== 'solo' && mode !== 'arcade',
+        ai: settings.get('difficulty'),
+        bestOf: settings.get('bestOf'), roundSeconds: ROUND_SECONDS,
+        // Training has no clock and nobody gets knocked out; the dummy plays through P2's pad
+        ...(mode === 'training' ? { roundSeconds: 0, training: { hp: settings.get('trainingHp') } } : {}),
+      };
+    }
+    // An arcade fight: the ladder sets the opponent, stage, AI, toughness and match length; P1 keeps the pick
+    function arcadeConfig(fight){
+      const stage = STAGES[fight.stage] ? fight.stage : DEFAULT_STAGE;
+      const enemy = roster[fight.enemy.id] ? fight.enemy : picks.enemy; // a host's roster may not have the ladder's fighter
+      return { ...newMatchConfig(enemy), stage, world: stageWorld(STAGES[stage]), ai: fight.ai, tuning: { enemy: fight.tuning }, bestOf: fight.bestOf };
+    }
+    let liveConfig = null; // config of the live match (playback shows the replay's)
+    const matchConfig = () => playback ? playback.replay.config : liveConfig;
+    // Replays from before stages were added have no stage id and show the default one
+    const stageView = () => stageViews[matchConfig().stage] || stageViews[DEFAULT_STAGE];
+    function createLiveMatch(config){
+      liveConfig = config;
+      return createMatch(config);
+    }
+    let match = createLiveMatch(newMatchConfig());
+    let recorder = null; // records the live match from Start so it can be saved as a replay
+    let playback = null;  // replay being watched; while set, `match` is the replay's match
+    let savedLive = null; // live match/recorder parked during playback
+    // Point the views at the fighters of the match on screen, in its palettes
+    let viewsFor = null;
+    function syncViews(){
+      if (viewsFor === match) return;
+      viewsFor = match;
+      const config = matchConfig();
+      for (const side of SIDES){
+        const view = fighterView(side, config[side]);
+        if (views[side] && views[side] !== view) views[side].stopAll();
+        view.filter = paletteFilter(config[side], config.palettes?.[side]);
+        views[side] = view;
+      }
+    }
+    syncViews();
+
+    const introEl = $('intro');
+    const centerEl = $('roundLabel');
+    const clockEl = $('roundClock');
+    let centerText = '', clockText = '';
+    function setCenter(text){ if (centerEl && text !== centerText){ centerEl.textContent = text; centerText = text; } }
+    // Center label and clock follow the match phase (derived each frame so replay seeking stays in sync)
+    function syncCenter(){
+      if (match.phase === 'fight') setCenter('');
+      else if (match.phase === 'ko') setCenter(match.matchWinner ? 'Match point' : `Round ${match.round} over`);
+      else if (match.phase === 'over') setCenter('Match over');
+      else setCenter(`Round ${match.round}`);
+      const clock = match.roundMsMax ? String(Math.ceil(match.roundMs / 1000)) : '∞';
+      if (clockEl && clock !== clockText){ clockEl.textContent = clock; clockText = clock; }
+      clockEl?.classList.toggle('low', !!match.roundMsMax && match.phase === 'fight' && match.roundMs <= 10000);
+    }
+
+    // Simulation events -> audio. Fighters pan with their position across the view.
+    const MUSIC = {
+      fight: { synth: 'fight', volume: 0.7 }, // generated in js/audio.js; there is no music file
+    };
+    const STINGERS = { // generated too
+      round: { synth: 'round', volume: 0.8 },
+      ko: { synth: 'ko', volume: 0.9 },
+    };
+    const clips = {};
+    for (const [name, c] of Object.entries({ ...MUSIC, ...STINGERS })){
+      assets.sound(c.src, { synth: c.synth, owner: name in MUSIC ? 'music' : 'stinger', name, optional: true }).then(clip => { clips[name] = clip; });
+    }
+    const panFor = (f) => { const v = camera.bounds(); return Math.max(-1, Math.min(1, ((f.x - v.x) / v.w) * 2 - 1)) * 0.8; };
+    // Bigger hits freeze longer, shake harder and buzz longer on phones; blocks only spark
+    function hitEffects(e){
+      const dir = match[e.attacker].facing;
+      if (e.result === 'hit'){
+        effects.burst('spark', e.x, e.y, dir, Math.min(2, 0.6 + e.damage / 15));
+        effects.popup(e.damage, e.x, e.y - 10);
+        effects.hitstop(Math.min(140, 40 + e.damage * 4));
+        effects.shake(Math.min(10, 2 + e.damage * 0.4), 180);
+        haptic(Math.min(80, 20 + e.damage * 2));
+      } else if (e.result === 'guardbreak'){
+        effects.burst('block', e.x, e.y, dir, 2); effects.burst('spark', e.x, e.y, dir);
+        effects.popup('BREAK', e.x, e.y - 10, '#fca5a5');
+        effects.hitstop(120);
+        effects.shake(8, 240);
+        haptic([40, 30, 60]);
+      } else {
+        effects.burst('block', e.x, e.y, dir);
+        if (e.damage) effects.popup(e.damage, e.x, e.y - 10, '#cbd5e1');
+        effects.hitstop(30);
+        haptic(12);
+      }
+    }
+    // Vibration follows the fight being played, not a replay being watched
+    const haptic = (pattern) => { if (!playback) touch?.vibrate(pattern); };
+    // Frame effects are placed at chest height in front of the fighter; dust stays at the feet
+    function frameEffect(e){
+      const { fw, fh } = match[e.who].getFrameSize();
+      if (e.name === 'dust') effects.burst('dust', e.x, e.y, e.facing);
+      else effects.burst(e.name, e.x + e.facing * fw * 0.2, e.y - fh * 0.5, e.facing);
+    }
+    function handleEvents(events){
+      syncViews();
+      for (const e of events){
+        if (e.type === 'sound'){
+          const view = views[e.who];
+          if (e.action === 'stop') view?.stop(e.name); else view?.play(e.name, panFor(match[e.who]));
+        } else if (e.type === 'hit'){
+          hitEffects(e);
+        } else if (e.type === 'effect'){
+          frameEffect(e);
+        } else if (e.type === 'phase' && e.phase === 'countdown'){
+          if (!playback && !session) roundStart = { snapshot: match.snapshot(), ticks: recorder?.ticks ?? 0 };
+        } else if (e.type === 'phase' && e.phase === 'ready'){
+          mixer.play(clips.round, { volume: STINGERS.round.volume });
+        } else if (e.type === 'ko'){
+          if (keepsRecords() && e.winner === 'player' && match.player.hp === match.player.maxHp) perfects++;
+          mixer.play(clips.ko, { volume: STINGERS.ko.volume });
+          const loser = e.winner && e.reason === 'ko' ? match[e.winner === 'player' ? 'enemy' : 'player'] : null;
+          if (loser){
+            effects.burst('ko', loser.x, loser.y - loser.getFrameSize().fh * 0.5, 1, 1.5);
+            effects.hitstop(320);
+            effects.shake(14, 450);
+            haptic([80, 50, 160]);
+          }
+        } else if (e.type === 'matchEnd'){
+          if (keepsRecords()) recordMatchEnd(e);
+        }
+        if (!playback && !session) tellHost(e);
+      }
+    }
+    // The live match's events, in the shapes listed with EVENTS. Online, only settled ticks are
+    // passed on (see startOnline), since a rollback can take back what a predicted tick did.
+    function tellHost(e){
+      if (e.type === 'phase' && e.phase === 'fight') emit('roundStart', { round: e.round, bestOf: match.bestOf });
+      else if (e.type === 'hit') emit('hit', { attacker: e.attacker, result: e.result, move: e.move, damage: e.damage });
+      else if (e.type === 'ko') emit('ko', { winner: e.winner, reason: e.reason, wins: e.wins, round: e.round });
+      else if (e.type === 'matchEnd'){
+        const fighters = Object.fromEntries(SIDES.map(side => [side, { id: match[side].id, name: match[side].name }]));
+        const arcadeFight = run && runOutcome ? { fight: arcade.LADDER.indexOf(runFight) + 1, of: arcade.LADDER.length, outcome: runOutcome } : null;
+        emit('matchEnd', {
+          winner: e.winner, wins: e.wins, rounds: e.rounds, stats: e.stats, fighters,
+          unlocked: keepsRecords() ? unlocked.map(a => ({ id: a.id, name: a.name })) : [],
+          arcade: arcadeFight,
+        });
+      }
+    }
+    // Music runs from the first countdown until the results, derived from the phase so seeking can't strand it.
+    // Each stage has its own track; a stage whose track is missing gets the default fight music.
+    function syncAudio(){
+      const wanted = match.phase !== 'intro' && match.phase !== 'over';
+      const track = stageView().music || clips.fight;
+      if (wanted && track) mixer.playMusic(track, MUSIC.fight.volume);
+      else if (!wanted && mixer.musicPlaying()) mixer.stopMusic();
+      views.player.setPan(panFor(match.player)); views.enemy.setPan(panFor(match.enemy));
+    }
+    function stopAllSounds(){ views.player.stopAll(); views.enemy.stopAll(); mixer.stopAll('sfx'); }
+
+    // Settings fields: every [data-setting] element (the settings dialog, the Sound panel, the
+    // intro's radio groups) edits the setting it names and follows it when it changes elsewhere
+    const btnMute = $('btnMute');
+    const btnReducedMotion = $('btnReducedMotion');
+    const settingFields = [...container.querySelectorAll('[data-setting]')];
+    function syncSettingsUi(){
+      for (const el of settingFields){
+        const value = settings.get(el.dataset.setting);
+        if (el.type === 'checkbox') el.checked = !!value;
+        else if (el.type === 'radio') el.checked = el.value === String(value);
+        else el.value = String(value);
+      }
+      const muted = settings.get('muted'), reduced = settings.get('reducedMotion');
+      if (btnMute){
+        btnMute.textContent = muted ? 'Unmute' : 'Mute';
+        btnMute.setAttribute('aria-pressed', String(muted));
+      }
+      if (btnReducedMotion){
+        btnReducedMotion.textContent = `Reduced motion: ${reduced ? 'on' : 'off'}`;
+        btnReducedMotion.setAttribute('aria-pressed', String(reduced));
+      }
+    }
+    for (const el of settingFields){
+      el.addEventListener(el.type === 'range' ? 'input' : 'change', () => {
+        if (el.type === 'radio' && !el.checked) return;
+        settings.set(el.dataset.setting, el.type === 'checkbox' ? el.checked : el.value);
+      }, { signal });
+    }
+    btnMute?.addEventListener('click', () => settings.set('muted', !settings.get('muted')), { signal });
+    btnReducedMotion?.addEventListener('click', () => settings.set('reducedMotion', !settings.get('reducedMotion')), { signal });
+    settings.onChange((key, value) => {
+      if (key === 'muted') mixer.setMuted(value);
+      else if (key === 'reducedMotion') effects.reducedMotion = value;
+      else if (window.Ledger.audio.BUSES.includes(key)) mixer.set(key, value);
+      syncSettingsUi();
+    });
+    syncSettingsUi();
+
+    // HUD elements
+    const hpP = $('hpPlayer');
+    const hpE = $('hpEnemy');
+    const guardP = $('guardPlayer');
+    const guardE = $('guardEnemy');
+    function setGuardBar(el, f){
+      if (!el) return;
+      el.style.width = Math.max(0, Math.min(100, (f.guardMeter/f.guard.max)*100)).toFixed(1) + '%';
+      el.parentElement?.classList.toggle('broken', f.breakTimer > 0);
+    }
+    // Special meter: marked ready once it pays for the cheapest special
+    const meterP = $('meterPlayer');
+    const meterE = $('meterEnemy');
+    function setMeterBar(el, f){
+      if (!el) return;
+      el.style.width = Math.max(0, Math.min(100, f.meter)).toFixed(1) + '%';
+      const costs = [...f.moves.values()].map(mv => mv.meter).filter(Boolean);
+      el.parentElement?.classList.toggle('ready', costs.length > 0 && f.meter >= Math.min(...costs));
+    }
+    // Combo counter per attacking side, shown from the second hit and for a second after the combo
+    // drops. The percentage is the damage scaling the last hit got.
+    const COMBO_LINGER_TICKS = 60;
+    const comboEls = { player: $('comboPlayer'), enemy: $('comboEnemy') };
+    const comboKeys = { player: '', enemy: '' };
+    function syncCombos(){
+      for (const [who, el] of Object.entries(comboEls)){
+        if (!el) continue;
+        const c = match.combos[who];
+        const show = c.hits > 1 && (c.live || match.tick - c.endTick < COMBO_LINGER_TICKS);
+        const key = show ? `${c.hits}:${c.damage}:${c.scale}` : '';
+        if (key === comboKeys[who]) continue;
+        comboKeys[who] = key;
+        el.hidden = !show;
+        el.innerHTML = show ? `<b>${c.hits} hits</b><span>${c.damage} damage · ${Math.round(c.scale * 100)}%</span>` : '';
+      }
+    }
+    // Round-win pips: one per win needed, filled as rounds are taken
+    const pipEls = { player: $('pipsPlayer'), enemy: $('pipsEnemy') };
+    let pipKey = '';
+    function syncPips(){
+      const key = `${match.winsNeeded}:${match.wins.player}:${match.wins.enemy}`;
+      if (key === pipKey) return;
+      pipKey = key;
+      for (const [who, el] of Object.entries(pipEls)){
+        if (!el) continue;
+        el.innerHTML = Array.from({ length: match.winsNeeded }, (_, i) => `<span class="pip${i < match.wins[who] ? ' won' : ''}"></span>`).join('');
+        el.title = `Rounds won: ${match.wins[who]} of ${match.winsNeeded}`;
+      }
+    }
+    // Recent damage trails behind the HP bars: they hold after a hit, then drain down to the bar.
+    // Heals and new rounds snap them back up; with reduced motion they skip the drain.
+    const TRAIL_HOLD_MS = 500;
+    const TRAIL_DRAIN_PER_SEC = 60; // percent of the bar
+    const trails = {
+      player: { el: $('trailPlayer'), pct: 100, last: 100, hold: 0 },
+      enemy: { el: $('trailEnemy'), pct: 100, last: 100, hold: 0 },
+    };
+    function setHpBar(el, trail, f, dt){
+      const pct = Math.max(0, Math.min(100, (f.hp/f.maxHp)*100));
+      if (el) el.style.width = pct.toFixed(1) + '%';
+      if (pct < trail.last) trail.hold = TRAIL_HOLD_MS;
+      trail.last = pct;
+      if (pct >= trail.pct) trail.pct = pct;
+      else if (trail.hold > 0) trail.hold -= dt;
+      else trail.pct = effects.reducedMotion ? pct : Math.max(pct, trail.pct - TRAIL_DRAIN_PER_SEC * dt / 1000);
+      if (trail.el) trail.el.style.width = trail.pct.toFixed(1) + '%';
+    }
+    function updateHud(dt){
+      const { player, enemy } = match;
+      setHpBar(hpP, trails.player, player, dt); setHpBar(hpE, trails.enemy, enemy, dt);
+      setGuardBar(guardP, player); setGuardBar(guardE, enemy);
+      setMeterBar(meterP, player); setMeterBar(meterE, enemy);
+      syncCombos();
+      syncPips();
+      syncResults();
+    }
+
+    // Results screen: shown while the match is 'over'; Rematch goes through the recorded inputs
+    const resultsEl = $('results');
+    const resultsTitle = $('resultsTitle');
+    const resultsScore = $('resultsScore');
+    const resultsStats = $('resultsStats');
+    const resultsActions = $('resultsActions');
+    const resultsUnlocks = $('resultsUnlocks');
+    const btnRematch = $('btnRematch');
+    const btnNextFight = $('btnNextFight');
+    const STAT_ROWS = [['damage', 'Damage dealt'], ['hits', 'Hits landed'], ['blocked', 'Hits blocked by opponent'], ['taunts', 'Taunts used'], ['maxCombo', 'Longest combo']];
+    let resultsFor = null; // match the screen was filled for
+    function syncResults(){
+      if (!resultsEl) return;
+      const show = match.phase === 'over';
+      if (resultsEl.hidden === show) resultsEl.hidden = !show;
+      if (resultsActions) resultsActions.hidden = !!playback;
+      if (!show){ resultsFor = null; return; }
+      if (resultsFor === match) return;
+      resultsFor = match;
+      const { player, enemy } = match.stats;
+      const names = { player: match.player.name, enemy: match.enemy.name };
+      const versus = !!match.p2Human;
+      const inRun = arcadeResults();
+      if (resultsTitle){
+        resultsTitle.textContent = versus
+          ? `${match.matchWinner === 'player' ? 'P1' : 'P2'} (${names[match.matchWinner]}) wins!`
+          : inRun && match.matchWinner === 'player' ? `${runFight.title} is down`
+          : match.matchWinner === 'player' ? 'Ledger retrieved!' : 'Wallet drained…';
+      }
+      const step = inRun ? ` · fight ${arcade.LADDER.indexOf(runFight) + 1} of ${arcade.LADDER.length}` : '';
+      if (resultsScore) resultsScore.textContent = `${match.wins.player} – ${match.wins.enemy} · best of ${match.bestOf}${step}`;
+      if (resultsStats){
+        const head = `<tr><th></th><th>${versus ? 'P1 · ' : ''}${names.player}</th><th>${versus ? 'P2 · ' : ''}${names.enemy}</th></tr>`;
+        const rows = STAT_ROWS.map(([k, label]) => `<tr><th scope="row">${label}</th><td>${player[k]}</td><td>${enemy[k]}</td></tr>`);
+        resultsStats.innerHTML = `<thead>${head}</thead><tbody>${rows.join('')}</tbody>`;
+      }
+      if (resultsUnlocks){
+        const fresh = playback ? [] : unlocked;
+        resultsUnlocks.hidden = !fresh.length;
+        resultsUnlocks.textContent = fresh.length ? `Achievement unlocked: ${fresh.map(a => a.name).join(', ')}` : '';
+      }
+      if (btnRematch) btnRematch.hidden = inRun;
+      if (btnNextFight){
+        btnNextFight.hidden = !inRun;
+        btnNextFight.textContent = { next: 'Next fight', lost: 'Continue', cleared: 'Finish' }[runOutcome] || 'Next fight';
+      }
+      if (!playback) (inRun ? btnNextFight : btnRematch)?.focus();
+    }
+
+    // Input: held keys, touches and gamepads are sampled every tick; taps and commands are latched until the next tick
+    // Keyboard layouts per mode (in versus P1 moves to the left of the keyboard and P2 takes the
+    // arrows) and gamepad buttons come from the saved bindings; see js/input.js
+    let bindings = input.loadBindings();
+    const keymapCodes = (layout) => Object.values(layout).flatMap(pad => Object.values(pad));
+    // Online, the local player uses the 1 Player keys whichever side they are on
+    const keyLayout = () => bindings.keyboard[mode === 'versus' ? 'versus' : 'solo'];
+    const keys = new Set();
+    const pending = { start: false, restart: false };
+    container.addEventListener('keydown', (e)=>{
+      if (rebind) return;
+      if (keymapCodes(keyLayout()).includes(e.code)) { keys.add(e.code); e.preventDefault(); }
+    }, { signal });
+    container.addEventListener('keyup', (e)=> keys.delete(e.code), { signal });
+    // Touch controls over the canvas (shown on touch screens and narrow windows); they always belong to P1
+    const touchEl = $('touchControls');
+    const touch = touchEl ? window.Ledger.touch.createTouchControls(touchEl, { signal }) : null;
+    const touchStart = touchEl?.querySelector('[data-action="start"]');
+    window.addEventListener('blur', () => { keys.clear(); touch?.clear(); }, { signal });
+    // Keys released after focus left the game never reach it
+    container.addEventListener('focusout', (e) => { if (!container.contains(e.relatedTarget)) keys.clear(); }, { signal });
+    // R key, gamepad Start or a click skips the KO banner; from the results they start a rematch (not in arcade)
+    // In arcade the results screen's own buttons move the run on, so only the KO banner can be skipped
+    const canRestart = () => !playback && !paused && (match.phase === 'ko' || (match.phase === 'over' && !run));
+    container.addEventListener('keydown', (e)=>{
+      if (canRestart() && e.code === 'KeyR') { e.preventDefault(); pending.restart = true; }
+    }, { signal });
+    canvas.addEventListener('click', ()=>{ if (canRestart()) pending.restart = true; }, { signal });
+    function readPad(map){
+      const pad = {};
+      for (const [button, code] of Object.entries(map)) pad[button] = keys.has(code);
+      return pad;
+    }
+    const getPads = () => input.connectedPads(navigator.getGamepads ? navigator.getGamepads() : []);
+    const startHeld = new Set(); // gamepad indices holding Start, so a held button acts once
+    // Gamepads add to the keyboard: in solo any pad drives P1; in versus the first pad is P1, the second P2.
+    // Like the keyboard, they only drive the game that has focus.
+    function mergeGamepads(inputs){
+      if (!hasFocus()) return;
+      getPads().forEach((gp, i) => {
+        const { pad } = input.readGamepad(gp, bindings.gamepad);
+        const side = mode === 'versus' ? ['p1', 'p2'][i] : 'p1';
+        if (side && inputs[side]) for (const a of input.ACTIONS) if (pad[a]) inputs[side][a] = true;
+      });
+    }
+    // Start is polled every frame, so it works while the match is paused: it skips the KO banner or
+    // starts a rematch, and otherwise opens or closes the pause menu
+    function pollStart(){
+      for (const gp of getPads()){
+        const { start } = input.readGamepad(gp, bindings.gamepad);
+        if (start && !startHeld.has(gp.index) && hasFocus() && !rebind && !controlsOpen() && !settingsOpen()){
+          if (canRestart()) pending.restart = true;
+          else if (paused) resumeGame();
+          else pauseGame();
+        }
+        if (start) startHeld.add(gp.index); else startHeld.delete(gp.index);
+      }
+    }
+    function readInputs(){
+      const layout = keyLayout();
+      const p1 = readPad(layout.p1);
+      const t = touch?.read();
+      if (t) for (const a of input.ACTIONS) if (t.pad[a]) p1[a] = true;
+      const inputs = { p1, start: pending.start, restart: pending.restart || (!!t?.start && canRestart()) };
+      if (layout.p2) inputs.p2 = readPad(layout.p2);
+      mergeGamepads(inputs);
+      pending.start = false; pending.restart = false;
+      return inputs;
+    }
+
+    // Controls screen: click a binding, then press the new key or gamepad button (Escape cancels).
+    // Changes are saved to localStorage straight away; the live match waits while it's open.
+    const controlsEl = $('controlsDialog');
+    const bindTable = $('bindTable');
+    const padStatus = $('padStatus');
+    const KEY_COLUMNS = [['solo', 'p1'], ['versus', 'p1'], ['versus', 'p2']];
+    let rebind = null; // { kind: 'key', layout, side, action } | { kind: 'pad', action }
+    const controlsOpen = () => !!controlsEl && !controlsEl.hidden;
+    function bindingText(r){
+      return r.kind === 'key' ? input.keyLabel(bindings.keyboard[r.layout][r.side][r.action]) : input.buttonLabel(bindings.gamepad[r.action]);
+    }
+    function renderBindings(){
+      // Keycaps in the control footers and the intro hint follow the bindings
+      for (const el of container.querySelectorAll('[data-bind]')){
+        const [layout, side, action] = el.dataset.bind.split('.');
+        el.textContent = input.keyLabel(bindings.keyboard[layout][side][action]);
+      }
+      if (!bindTable) return;
+      for (const btn of bindTable.querySelectorAll('button[data-rebind]')){
+        const [kind, ...rest] = btn.dataset.rebind.split('.');
+        const r = kind === 'key' ? { kind, layout: rest[0], side: rest[1], action: rest[2] } : { kind, action: rest[0] };
+        const waiting = rebind && rebind.kind === r.kind && rebind.action === r.action && rebind.layout === r.layout && rebind.side === r.side;
+        btn.textContent = waiting ? (kind === 'key' ? 'Press a key…' : 'Press a button…') : bindingText(r);
+        btn.classList.toggle('waiting', !!waiting);
+      }
+    }
+    function buildBindTable(){
+      if (!bindTable) return;
+      const head = '<tr><th></th><th>1 Player</th><th>2P: P1</th><th>2P: P2</th><th>Gamepad</th></tr>';
+      const rows = [...input.ACTIONS, 'start'].map(action => {
+        const keyCells = KEY_COLUMNS.map(([layout, side]) => action === 'start'
+          ? '<td></td>'
+          : `<td><button type="button" class="bindBtn" data-rebind="key.${layout}.${side}.${action}"></button></td>`).join('');
+        return `<tr><th scope="row">${input.ACTION_LABELS[action]}</th>${keyCells}<td><button type="button" class="bindBtn" data-rebind="pad.${action}"></button></td></tr>`;
+      });
+      bindTable.innerHTML = `<thead>${head}</thead><tbody>${rows.join('')}</tbody>`;
+      bindTable.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-rebind]');
+        if (!btn) return;
+        const [kind, ...rest] = btn.dataset.rebind.split('.');
+        rebind = kind === 'key' ? { kind, layout: rest[0], side: rest[1], action: rest[2] } : { kind, action: rest[0] };
+        // Buttons already held don't count as the new binding
+        padBaseline = new Set(getPads().filter(gp => input.firstPressed(gp) >= 0).map(gp => gp.index));
+        renderBindings();
+      }, { signal });
+    }
+    let padBaseline = new Set(); // pads holding a button when the rebind began; ignored until released
+    function finishRebind(apply){
+      if (rebind && apply){
+        apply();
+        input.saveBindings(bindings);
+      }
+      rebind = null;
+      renderBindings();
+    }
+    // Capture phase so a rebind keystroke never reaches the game or replay shortcuts
+    container.addEventListener('keydown', (e) => {
+      if (!controlsOpen()) return;
+      if (!rebind){
+        if (e.code === 'Escape'){ e.preventDefault(); e.stopImmediatePropagation(); closeControls(); }
+        return;
+      }
+      e.preventDefault(); e.stopImmediatePropagation();
+      if (e.code === 'Escape' || rebind.kind !== 'key') return finishRebind(null);
+      const { layout, side, action } = rebind;
+      finishRebind(() => input.bindKey(bindings, layout, side, action, e.code));
+    }, { capture: true, signal });
+    function pollRebind(){
+      if (!rebind || rebind.kind !== 'pad') return;
+      for (const gp of getPads()){
+        const idx = input.firstPressed(gp);
+        if (idx < 0){ padBaseline.delete(gp.index); continue; }
+        if (padBaseline.has(gp.index)) continue;
+        const { action } = rebind;
+        finishRebind(() => input.bindButton(bindings, action, idx));
+        startHeld.add(gp.index); // don't let a freshly bound Start also restart
+        return;
+      }
+    }
+    function syncPadStatus(){
+      if (!padStatus) return;
+      const pads = getPads();
+      padStatus.textContent = pads.length
+        ? pads.map((gp, i) => `Gamepad ${i+1}: ${gp.id.replace(/\s*\(.*\)\s*$/, '') || 'connected'}`).join(' · ')
+        : 'No gamepad detected. Connect one and press any button.';
+    }
+    window.addEventListener('gamepadconnected', syncPadStatus, { signal });
+    window.addEventListener('gamepaddisconnected', (e) => { startHeld.delete(e.gamepad.index); syncPadStatus(); }, { signal });
+    function openControls(){
+      if (!controlsEl) return;
+      keys.clear();
+      controlsEl.hidden = false;
+      syncPadStatus(); renderBindings();
+      controlsEl.querySelector('.bindBtn')?.focus();
+    }
+    function closeControls(){
+      if (!controlsEl) return;
+      rebind = null;
+      focusGame();
+      controlsEl.hidden = true;
+      renderBindings();
+    }
+    buildBindTable();
+    renderBindings();
+    $('btnControls')?.addEventListener('click', openControls, { signal });
+    $('introControlsBtn')?.addEventListener('click', openControls, { signal });
+    $('btnControlsDone')?.addEventListener('click', closeControls, { signal });
+    $('btnControlsReset')?.addEventListener('click', () => {
+      bindings = input.cloneBindings(input.DEFAULT_BINDINGS);
+      input.saveBindings(bindings);
+      rebind = null;
+      renderBindings();
+    }, { signal });
+
+    // Pause menu: Esc, gamepad Start or the touch pause button during a match, and on its own when
+    // the page is hidden or loses focus (a setting). A local match stops dead, sounds included.
+    // Online the other player keeps going, so only this side's inputs stop.
+    const pauseEl = $('pauseMenu');
+    const pauseNote = $('pauseNote');
+    const btnRestartRound = $('btnRestartRound');
+    const touchPause = $('touchPause');
+    let paused = false;
+    let roundStart = null; // { snapshot, ticks } as the current round's countdown began, for Restart round
+    const canPause = () => !paused && !playback && !!(recorder || session) && match.phase !== 'intro' && match.phase !== 'over';
+    function pauseGame(){
+      if (!canPause()) return;
+      paused = true;
+      keys.clear(); touch?.clear();
+      if (!session) mixer.pause();
+      if (pauseNote) pauseNote.hidden = !session;
+      if (btnRestartRound) btnRestartRound.disabled = !!session || !roundStart;
+      if (pauseEl){ pauseEl.hidden = false; $('btnResume')?.focus(); }
+      emit('pause');
+    }
+    function resumeGame(){
+      if (!paused) return;
+      paused = false;
+      closeSettings();
+      focusGame();
+      if (pauseEl) pauseEl.hidden = true;
+      mixer.resume();
+      keys.clear(); // keys pressed in the menu don't carry into the fight
+      fixed.reset(); // no catching up on the time spent paused
+      emit('resume');
+    }
+    // Rewinds to the round's countdown, recording included, so a saved replay never shows the do-over
+    function restartRound(){
+      if (!paused || session || !roundStart) return;
+      stopAllSounds(); effects.clear();
+      match.restore(roundStart.snapshot);
+      recorder?.truncate(roundStart.ticks);
+      camera.snap();
+      resumeGame();
+    }
+    const autoPause = () => { if (settings.get('autoPause')) pauseGame(); };
+    // A hidden page pauses every game on it; the window losing focus pauses only the game that had it
+    document.addEventListener('visibilitychange', () => { if (document.hidden) autoPause(); }, { signal });
+    window.addEventListener('blur', () => { if (hasFocus()) autoPause(); }, { signal });
+    container.addEventListener('keydown', (e) => {
+      if (e.code !== 'Escape' || controlsOpen()) return;
+      if (settingsOpen()){ e.preventDefault(); closeSettings(); }
+      else if (recordsOpen()){ e.preventDefault(); closeRecords(); }
+      else if (paused){ e.preventDefault(); resumeGame(); }
+      else if (canPause()){ e.preventDefault(); pauseGame(); }
+    }, { signal });
+    $('btnResume')?.addEventListener('click', resumeGame, { signal });
+    btnRestartRound?.addEventListener('click', restartRound, { signal });
+    $('btnQuit')?.addEventListener('click', () => backToMenu(), { signal });
+    touchPause?.addEventListener('click', pauseGame, { signal });
+
+    // Settings dialog: opening it during a match pauses the match first; closing it goes back to the pause menu
+    const settingsEl = $('settingsDialog');
+    const settingsOpen = () => !!settingsEl && !settingsEl.hidden;
+    function openSettings(){
+      if (!settingsEl) return;
+      pauseGame();
+      keys.clear();
+      syncSettingsUi();
+      settingsEl.hidden = false;
+      settingsEl.querySelector('[data-setting]')?.focus();
+    }
+    function closeSettings(){
+      if (!settingsOpen()) return;
+      if (paused) $('btnPauseSettings')?.focus();
+      else focusGame();
+      settingsEl.hidden = true;
+    }
+    for (const id of ['btnSettings', 'introSettingsBtn', 'btnPauseSettings']) $(id)?.addEventListener('click', openSettings, { signal });
+    $('btnSettingsDone')?.addEventListener('click', closeSettings, { signal });
+    $('btnSettingsControls')?.addEventListener('click', openControls, { signal });
+
+    // Replay playback: a loaded replay takes over `match` until exit; the live match waits untouched
+    const SPEEDS = [0.25, 0.5, 1, 2, 4];
+    let rpPaused = false, rpSpeedIdx = 2, rpAcc = 0;
+    const replayStatus = $('replayStatus');
+    const rpTransport = $('replayTransport');
+    const rpPlay = $('rpPlay');
+    const rpSpeed = $('rpSpeed');
+    const rpScrub = $('rpScrub');
+    const rpTime = $('rpTime');
+    function setReplayStatus(text){ if (replayStatus) replayStatus.textContent = text; }
+    function fmtTicks(t){
+      const secs = t / TICK_HZ;
+      const m = Math.floor(secs / 60);
+      return `${m}:${(secs - m*60).toFixed(2).padStart(5, '0')}`;
+    }
+    function syncTransport(){
+      if (!playback) return;
+      if (rpPlay){ rpPlay.textContent = rpPaused ? '▶' : '⏸'; rpPlay.title = rpPaused ? 'Play (K)' : 'Pause (K)'; }
+      if (rpSpeed) rpSpeed.textContent = `${SPEEDS[rpSpeedIdx]}×`;
+      if (rpScrub){ rpScrub.max = String(playback.length); rpScrub.value = String(playback.tick); }
+      if (rpTime) rpTime.textContent = `${fmtTicks(playback.tick)} / ${fmtTicks(playback.length)}`;
+    }
+    function startPlayback(data){
+      if (session) throw new ReplayError('Leave the online match before watching a replay');
+      const pb = createPlayback(data); // throws ReplayError on bad files
+      resumeGame();
+      if (!playback) savedLive = { match, recorder, introShown: introEl && introEl.style.display !== 'none' };
+      stopAllSounds();
+      playback = pb; match = pb.match;
+      focusGame();
+      effects.clear(); camera.snap();
+      rpPaused = false; rpSpeedIdx = 2; rpAcc = 0;
+      if (introEl) introEl.style.display = 'none';
+      if (rpTransport) rpTransport.hidden = false;
+      setReplayStatus(`Replay loaded (${fmtTicks(pb.length)})`);
+      syncTransport();
+    }
+    function exitPlayback(){
+      if (!playback) return;
+      stopAllSounds();
+      effects.clear();
+      playback = null;
+      ({ match, recorder } = savedLive);
+      if (savedLive.introShown && introEl) introEl.style.display = '';
+      savedLive = null;
+      focusGame();
+      if (rpTransport) rpTransport.hidden = true;
+      readInputs(); // drop anything pressed while watching
+      camera.snap();
+      setReplayStatus('');
+    }
+    function seekPlayback(tick){
+      if (!playback) return;
+      stopAllSounds();
+      effects.clear(); camera.snap();
+      match = playback.seek(tick); // events from re-simulated ticks are dropped
+      syncTransport();
+    }
+    function stepPlayback(){
+      if (!playback) return;
+      rpPaused = true;
+      handleEvents(playback.step());
+      syncTransport();
+    }
+    function changeSpeed(d){ rpSpeedIdx = Math.max(0, Math.min(SPEEDS.length-1, rpSpeedIdx + d)); syncTransport(); }
+    function togglePause(){
+      if (!playback) return;
+      if (rpPaused && playback.atEnd()) seekPlayback(0);
+      rpPaused = !rpPaused; rpAcc = 0;
+      syncTransport();
+    }
+    function saveReplay(){
+      let data;
+      if (playback) data = playback.replay;
+      else if (recorder) data = recorder.toJSON({ result: { round: match.round, phase: match.phase, winner: match.koWinner } });
+      else { setReplayStatus('Start a match first'); return; }
+      downloadJson(data, 'ledger-replay');
+      setReplayStatus('Replay saved');
+    }
+    // Saves data as a timestamped .json download
+    function downloadJson(data, prefix){
+      const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}.json`;
+      document.body.appendChild(a); a.click(); a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+    const replayFile = $('replayFile');
+    $('btnSaveReplay')?.addEventListener('click', saveReplay, { signal });
+    $('btnLoadReplay')?.addEventListener('click', () => replayFile?.click(), { signal });
+    replayFile?.addEventListener('change', async () => {
+      const file = replayFile.files?.[0]; replayFile.value = '';
+      if (!file) return;
+      try { startPlayback(await file.text()); }
+      catch (e) { setReplayStatus(e.name === 'ReplayError' || e.name === 'ManifestError' ? e.message : 'Could not load replay'); console.error(e); }
+    }, { signal });
+    $('rpPlay')?.addEventListener('click', togglePause, { signal });
+    $('rpStep')?.addEventListener('click', stepPlayback, { signal });
+    $('rpSlower')?.addEventListener('click', () => changeSpeed(-1), { signal });
+    $('rpFaster')?.addEventListener('click', () => changeSpeed(1), { signal });
+    $('rpRestart')?.addEventListener('click', () => seekPlayback(0), { signal });
+    $('rpExit')?.addEventListener('click', exitPlayback, { signal });
+    rpScrub?.addEventListener('input', () => seekPlayback(+rpScrub.value), { signal });
+    container.addEventListener('keydown', (e)=>{
+      if (!playback) return;
+      const actions = { KeyK: togglePause, Period: stepPlayback, BracketLeft: () => changeSpeed(-1), BracketRight: () => changeSpeed(1) };
+      if (actions[e.code]){ e.preventDefault(); actions[e.code](); }
+    }, { signal });
+
+    // Training: a dummy stands in for the CPU, HP never runs out, and the fight can be slowed,
+    // paused and advanced a frame at a time. The dummy plays through P2's pad, so training
+    // replays play back like any other.
+    const { createDummy, frameInfo, DUMMY_MODES, DUMMY_LABELS } = window.Ledger.training;
+    const TRAINING_SPEEDS = [0.25, 0.5, 1];
+    const dummy = createDummy();
+    let trPaused = false, trSpeedIdx = TRAINING_SPEEDS.length - 1, trAcc = 0, trSteps = 0;
+    let showBoxes = false; // hurtbox/hitbox overlay, for training matches and their replays
+    const training = () => mode === 'training' && !!recorder && !playback;
+    const trainingBar = $('trainingBar');
+    const trDummy = $('trDummy');
+    const trRecord = $('trRecord');
+    const trBoxes = $('trBoxes');
+    const trPlay = $('trPlay');
+    const trSpeed = $('trSpeed');
+    if (trDummy) trDummy.innerHTML = DUMMY_MODES.map(m => `<option value="${m}">${DUMMY_LABELS[m]}</option>`).join('');
+    function syncTrainingUi(){
+      if (trDummy) trDummy.value = dummy.mode;
+      if (trRecord){
+        trRecord.textContent = dummy.recording ? 'Stop recording' : 'Record dummy';
+        trRecord.setAttribute('aria-pressed', String(!!dummy.recording));
+      }
+      if (trBoxes){
+        trBoxes.textContent = `Hitboxes: ${showBoxes ? 'on' : 'off'}`;
+        trBoxes.setAttribute('aria-pressed', String(showBoxes));
+      }
+      if (trPlay){ trPlay.textContent = trPaused ? '▶' : '⏸'; trPlay.title = trPaused ? 'Play (K)' : 'Pause (K)'; }
+      if (trSpeed) trSpeed.textContent = `${TRAINING_SPEEDS[trSpeedIdx]}×`;
+    }
+    // While recording, P1's controls steer the dummy and the player's fighter stands still
+    function dummyInputs(inputs){
+      const { player, enemy } = match;
+      if (dummy.recording){
+        inputs.p2 = dummy.record(inputs.p1, enemy);
+        inputs.p1 = {};
+        if (!dummy.recording) syncTrainingUi(); // hit the length limit
+      } else {
+        inputs.p2 = dummy.pad(enemy, player, match);
+      }
+    }
+    function toggleRecording(){
+      if (dummy.recording) dummy.stopRecording(); else dummy.startRecording();
+      syncTrainingUi();
+    }
+    function toggleTrainingPause(){ trPaused = !trPaused; trAcc = 0; syncTrainingUi(); }
+    function advanceFrame(){ trPaused = true; trSteps++; syncTrainingUi(); }
+    function changeTrainingSpeed(d){ trSpeedIdx = Math.max(0, Math.min(TRAINING_SPEEDS.length-1, trSpeedIdx + d)); trAcc = 0; syncTrainingUi(); }
+    function toggleBoxes(){ showBoxes = !showBoxes; syncTrainingUi(); }
+    trDummy?.addEventListener('change', () => { dummy.setMode(trDummy.value); syncTrainingUi(); }, { signal });
+    trRecord?.addEventListener('click', toggleRecording, { signal });
+    trBoxes?.addEventListener('click', toggleBoxes, { signal });
+    $('trStep')?.addEventListener('click', advanceFrame, { signal });
+    trPlay?.addEventListener('click', toggleTrainingPause, { signal });
+    $('trSlower')?.addEventListener('click', () => changeTrainingSpeed(-1), { signal });
+    $('trFaster')?.addEventListener('click', () => changeTrainingSpeed(1), { signal });
+    // The HP setting is part of the match rules, so changing it starts the session over
+    settings.onChange((key) => { if (key === 'trainingHp' && training()) startMatch('training'); });
+    // Same keys as replay playback, plus H for the boxes; keys bound to the fight are left alone
+    container.addEventListener('keydown', (e)=>{
+      if (keymapCodes(keyLayout()).includes(e.code) || controlsOpen()) return;
+      if (e.code === 'KeyH' && matchConfig().training){ e.preventDefault(); toggleBoxes(); return; }
+      if (!training()) return;
+      const actions = { KeyK: toggleTrainingPause, Period: advanceFrame, BracketLeft: () => changeTrainingSpeed(-1), BracketRight: () => changeTrainingSpeed(1) };
+      if (actions[e.code]){ e.preventDefault(); actions[e.code](); }
+    }, { signal });
+    syncTrainingUi();
+    // Boxes follow the drawn (interpolated) fighter: hurtboxes in its side's colour, hitboxes yellow, pushboxes outlined
+    function drawBoxes(alpha){
+      ctx.save(); camera.apply(ctx);
+      for (const [f, hurt] of [[match.player, '#22c55e'], [match.enemy, '#ef4444']]){
+        ctx.save();
+        ctx.translate((f.prevX - f.x) * (1 - alpha), (f.prevY - f.y) * (1 - alpha));
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = hurt; for (const b of f.getHurtboxes()) ctx.fillRect(b.x, b.y, b.w, b.h);
+        ctx.fillStyle = '#fde047'; for (const b of f.getHitboxes()) ctx.fillRect(b.x, b.y, b.w, b.h);
+        ctx.globalAlpha = 0.8;
+        ctx.strokeStyle = '#e5e7eb'; ctx.lineWidth = 1;
+        const p = f.getPushbox(); ctx.strokeRect(p.x, p.y, p.w, p.h);
+        ctx.restore();
+      }
+      ctx.restore();
+    }
+    // Per-frame readout under the HUD: P1 on the left, the dummy on the right
+    function frameDataLines(f){
+      const i = frameInfo(f, TICK_MS);
+      const lines = [`${f.name} · ${i.state}`, `${i.anim} frame ${i.frame + 1}/${i.total}`];
+      if (i.move) lines.push(`${i.move}: ${i.startup} startup · ${i.active} active · ${i.recovery} recovery`, `▶ ${i.phase}`);
+      if (i.hitstun) lines.push(`hitstun ${i.hitstun}f`);
+      if (i.blockstun) lines.push(`blockstun ${i.blockstun}f`);
+      return lines;
+    }
+    function drawFrameData(){
+      ctx.save();
+      ctx.font = '600 12px ui-monospace, Consolas, monospace';
+      ctx.textBaseline = 'top';
+      for (const [f, color, align, x, y] of [[match.player, '#bbf7d0', 'left', 14, 70], [match.enemy, '#fecaca', 'right', VIEW_W - 14, 96]]){
+        const lines = frameDataLines(f);
+        const w = Math.max(...lines.map(l => ctx.measureText(l).width)) + 12;
+        ctx.fillStyle = 'rgba(0,0,0,0.55)';
+        ctx.fillRect(align === 'left' ? x - 6 : x - w + 6, y - 4, w, lines.length * 16 + 6);
+        ctx.fillStyle = color; ctx.textAlign = align;
+        lines.forEach((l, n) => ctx.fillText(l, x, y + n * 16));
+      }
+      ctx.restore();
+    }
+
+    // Fixed 60 Hz simulation; rendering runs at display rate and interpolates between ticks
+    function onTick(){
+      if (signal.aborted) return; // destroyed by a host listener partway through a frame's ticks
+      // Online the peer keeps going, so the match runs on with this side idle while controls are open
+      if (session){
+        const inputs = readInputs();
+        const events = session.tick(controlsOpen() || paused ? {} : inputs.p1, { restart: inputs.restart });
+        if (session.rolledBack) syncLoops();
+        if (events) handleEvents(events);
+        return;
+      }
+      if (controlsOpen() || paused) return; // the match waits while paused or while controls are being edited
+      if (effects.frozen()) return; // hit-stop: ticks are skipped, not queued, so nothing is recorded
+      if (playback){
+        if (rpPaused) return;
+        rpAcc += SPEEDS[rpSpeedIdx];
+        while (rpAcc >= 1){
+          rpAcc -= 1;
+          if (playback.atEnd()){ rpPaused = true; rpAcc = 0; break; }
+          handleEvents(playback.step());
+        }
+        syncTransport();
+        return;
+      }
+      // Training in slow motion runs a tick every few frames; paused, only frame advance runs one
+      if (training()){
+        if (trSteps) trSteps--;
+        else if (trPaused) return;
+        else if ((trAcc += TRAINING_SPEEDS[trSpeedIdx]) < 1) return;
+        else trAcc -= 1;
+      }
+      const inputs = readInputs();
+      if (training()) dummyInputs(inputs);
+      recorder?.record(inputs);
+      handleEvents(match.step(inputs));
+    }
+    const fixed = createFixedLoop({ onTick });
+
+    function render(alpha, dt){
+      const { player, enemy } = match;
+      const stage = stageView();
+      // Letterbox bars, then everything else in view coordinates clipped to the view
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = '#000'; ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.save();
+      ctx.setTransform(viewport.scale, 0, 0, viewport.scale, viewport.x, viewport.y);
+      ctx.beginPath(); ctx.rect(0, 0, VIEW_W, VIEW_H); ctx.clip();
+      stage.drawSky(ctx);
+
+      // The camera frames both fighters (at their interpolated positions) on the stage
+      const world = match.world;
+      if (camera.stage.width !== world.width || camera.stage.groundY !== world.groundY) camera.setStage(world);
+      camera.update([player, enemy].map(f => f.prevX + (f.x - f.prevX) * alpha), dt);
+      // Shake moves the world, not the overlays; the ground overhangs so its edges never show
+      const shake = effects.offset();
+      ctx.save();
+      ctx.translate(shake.x, shake.y);
+      camera.apply(ctx);
+      const view = camera.bounds();
+      stage.drawBackdrop(ctx, view, performance.now());
+      stage.drawGround(ctx, view);
+      views.player.draw(ctx, player, alpha); views.enemy.draw(ctx, enemy, alpha);
+      effects.draw(ctx);
+      ctx.restore();
+      // Countdown overlay
+      if (match.phase === 'countdown'){
+        const secs = Math.ceil(Math.max(0, match.countdownMs)/1000);
+        ctx.save();
+        ctx.fillStyle = 'rgba(0,0,0,0.35)';
+        ctx.fillRect(0,0,VIEW_W,VIEW_H);
+        // Number
+        ctx.fillStyle = '#93c5fd';
+        ctx.font = 'bold 72px system-ui, Segoe UI, Arial';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        const cx = VIEW_W/2;
+        const cy = VIEW_H/2;
+        ctx.fillText(String(secs), cx, cy);
+        // Tooltip under the numbers
+        ctx.fillStyle = '#cbd5e1';
+        ctx.font = '600 16px system-ui, Segoe UI, Arial';
+        ctx.textBaseline = 'top';
+        ctx.fillText('Tool-Tip: use taunt to stun the scammer', cx, cy + 40);
+        ctx.restore();
+      }
+      // Ready/Fight overlay
+      if (match.phase === 'ready'){
+        const passed = READY_MS - Math.max(0, match.readyMs);
+        const showFight = passed >= READY_MS/2; // second half shows FIGHT!
+        ctx.save();
+        ctx.fillStyle = 'rgba(0,0,0,0.35)';
+        ctx.fillRect(0,0,VIEW_W,VIEW_H);
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.font = 'bold 64px system-ui, Segoe UI, Arial';
+        ctx.fillStyle = showFight ? '#fca5a5' : '#bbf7d0';
+        ctx.fillText(showFight ? 'FIGHT!' : 'READY', VIEW_W/2, VIEW_H/2);
+        ctx.restore();
+      }
+      // Intro dim (game is locked beneath intro panel)
+      if (match.phase === 'intro'){
+        ctx.save();
+        ctx.fillStyle = 'rgba(0,0,0,0.45)';
+        ctx.fillRect(0,0,VIEW_W,VIEW_H);
+        ctx.restore();
+      }
+      // KO banner overlay
+      if (match.phase === 'ko'){
+        ctx.save();
+        ctx.fillStyle = 'rgba(0,0,0,0.35)';
+        ctx.fillRect(0,0,VIEW_W,VIEW_H);
+        ctx.fillStyle = '#fef08a';
+        ctx.font = 'bold 64px system-ui, Segoe UI, Arial';
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        const banner = !match.koWinner ? 'DRAW' : match.koWinner === 'player' ? 'RETRIEVED' : 'DRAINED';
+        ctx.fillText(match.koReason === 'time' ? `TIME · ${banner}` : banner, VIEW_W/2, VIEW_H/2);
+        ctx.font = '600 20px system-ui, Segoe UI, Arial';
+        ctx.fillStyle = '#e5e7eb';
+        const next = match.matchWinner ? 'Results' : `Round ${match.round + 1}`;
+        ctx.fillText(playback ? next : `${next} · press R or click to skip`, VIEW_W/2, VIEW_H/2 + 48);
+        ctx.restore();
+      }
+      // Replay badge
+      if (playback){
+        ctx.save();
+        ctx.font = 'bold 16px system-ui, Segoe UI, Arial';
+        ctx.textAlign = 'right'; ctx.textBaseline = 'top';
+        ctx.fillStyle = '#fca5a5';
+        ctx.fillText(rpPaused ? 'REPLAY (paused)' : `REPLAY ${SPEEDS[rpSpeedIdx]}×`, VIEW_W - 14, 70);
+        ctx.restore();
+      }
+      // Online badge: which side this is, and a note while waiting on the other player
+      if (session){
+        ctx.save();
+        ctx.font = 'bold 16px system-ui, Segoe UI, Arial';
+        ctx.textAlign = 'right'; ctx.textBaseline = 'top';
+        ctx.fillStyle = '#93c5fd';
+        ctx.fillText(`ONLINE · ${session.side.toUpperCase()}`, VIEW_W - 14, 70);
+        if (session.status === 'waiting'){
+          ctx.fillStyle = '#e5e7eb'; ctx.font = '600 14px system-ui, Segoe UI, Arial';
+          ctx.fillText('Waiting for the other player…', VIEW_W - 14, 92);
+        }
+        ctx.restore();
+      }
+      // Training badge: speed, pause and recording
+      if (training()){
+        ctx.save();
+        ctx.font = 'bold 16px system-ui, Segoe UI, Arial';
+        ctx.textAlign = 'right'; ctx.textBaseline = 'top';
+        ctx.fillStyle = dummy.recording ? '#fca5a5' : '#bbf7d0';
+        const state = dummy.recording ? `REC ${fmtTicks(dummy.recording.length)}` : trPaused ? 'paused' : `${TRAINING_SPEEDS[trSpeedIdx]}×`;
+        ctx.fillText(`TRAINING · ${state}`, VIEW_W - 14, 70);
+        ctx.restore();
+      }
+      // Training matches (live or replayed) show the boxes when toggled on, and the frame data
+      if (matchConfig().training){
+        if (showBoxes) drawBoxes(alpha);
+        drawFrameData();
+      }
+      ctx.restore();
+    }
+
+    // Loop
+    let lastFrame = performance.now();
+    function loop(){
+      const now = performance.now(), dt = now - lastFrame;
+      lastFrame = now;
+      syncViews();
+      const frozen = paused && !session;
+      if (!frozen) effects.update(dt);
+      let alpha = fixed.advance();
+      if (signal.aborted) return; // a host's event listener destroyed the game during those ticks
+      // Slow or paused playback advances less than a tick per frame; interpolate on replay time instead
+      if (playback) alpha = rpPaused ? 1 : Math.min(1, SPEEDS[rpSpeedIdx] < 1 ? rpAcc + alpha*SPEEDS[rpSpeedIdx] : alpha);
+      else if (training()) alpha = trPaused ? 1 : Math.min(1, trAcc + alpha*TRAINING_SPEEDS[trSpeedIdx]);
+      if ((effects.frozen() && !session) || frozen) alpha = 1; // hold the last tick's pose during hit-stop and pauses
+      pollRebind();
+      pollStart();
+      syncOnline();
+      if (touchStart) touchStart.hidden = !canRestart();
+      if (touchPause) touchPause.hidden = !canPause();
+      if (trainingBar) trainingBar.hidden = !training();
+      updateHud(dt);
+      syncCenter();
+      syncAudio();
+      render(alpha, dt);
+      if (!signal.aborted) frame = requestAnimationFrame(loop);
+    }
+    let frame = requestAnimationFrame(loop);
+    // Wire the intro buttons to begin the countdown; each start is a fresh, recorded match
+    const controlsSolo = $('controlsSolo');
+    const controlsVersus = $('controlsVersus');
+    function startMatch(nextMode, config = null){
+      leaveOnline();
+      resumeGame();
+      roundStart = null;
+      mode = nextMode;
+      if (mode !== 'arcade') run = null;
+      perfects = 0; unlocked = []; runOutcome = null;
+      keys.clear();
+      focusGame();
+      effects.clear(); camera.snap();
+      if (introEl) introEl.style.display = 'none';
+      if (controlsSolo) controlsSolo.hidden = mode === 'versus';
+      if (controlsVersus) controlsVersus.hidden = mode !== 'versus';
+      trPaused = false; trAcc = 0; trSteps = 0;
+      config ??= newMatchConfig();
+      match = createLiveMatch(config);
+      recorder = createRecorder(config);
+      pending.start = true;
+    }
+    // Back to the intro panel with a fresh, unrecorded match waiting behind it
+    function backToMenu(){
+      run = null;
+      showIntro(introMenu, newMatchConfig());
+    }
+    // The intro dialog with one of its panels (the menu or the arcade story) over an idle match
+    function showIntro(panel, config){
+      leaveOnline();
+      resumeGame();
+      roundStart = null;
+      stopAllSounds();
+      keys.clear();
+      effects.clear();
+      match = createLiveMatch(config);
+      recorder = null;
+      camera.snap();
+      for (const p of [introMenu, introStory]) if (p) p.hidden = p !== panel;
+      if (introEl) introEl.style.display = '';
+      if (panel === introStory) btnStoryGo?.focus();
+    }
+    // The idle match behind the intro panel follows the picks, as a preview
+    function previewMatch(){
+      if (recorder || playback || session || netConnect || run) return;
+      match = createLiveMatch(newMatchConfig());
+      camera.snap();
+    }
+    settings.onChange((key) => { if (key === 'stage') previewMatch(); });
+
+    // Arcade: a run up the ladder in js/arcade.js. Before each fight the intro dialog shows its
+    // story over the next opponent; after it the results screen moves on, or fights a lost one
+    // again as a continue. Clearing the ladder records the run's match time.
+    const arcade = window.Ledger.arcade;
+    const introMenu = $('introMenu');
+    const introStory = $('introStory');
+    const storyStep = $('storyStep');
+    const storyTitle = $('storyTitle');
+    const storyText = $('storyText');
+    const btnStoryGo = $('btnStoryGo');
+    const btnStoryQuit = $('btnStoryQuit');
+    let run = null;        // the arcade run in progress, see arcade.createRun()
+    let runFight = null;   // the ladder fight being fought or just finished
+    let runOutcome = null; // 'next' | 'cleared' | 'lost' once that fight's match is over
+    const arcadeResults = () => !!run && !playback && !!runOutcome;
+    function setStory(step, title, text, go){
+      if (storyStep) storyStep.textContent = step;
+      if (storyTitle) storyTitle.textContent = title;
+      if (storyText) storyText.textContent = text;
+      if (btnStoryGo) btnStoryGo.textContent = go;
+      if (btnStoryQuit) btnStoryQuit.hidden = !run;
+    }
+    function startArcade(){
+      mode = 'arcade';
+      run = arcade.createRun();
+      showFightStory();
+    }
+    function showFightStory(){
+      runFight = arcade.fightOf(run);
+      runOutcome = null;
+      setStory(`Fight ${run.index + 1} of ${arcade.LADDER.length}`, runFight.title, runFight.story, 'Fight');
+      showIntro(introStory, arcadeConfig(runFight));
+    }
+    function fightArcade(){ startMatch('arcade', arcadeConfig(runFight)); }
+    // Called from the matchEnd event: where the run goes from here
+    function finishArcadeFight(won){
+      runOutcome = arcade.finishFight(run, won, match.tick);
+      return runOutcome === 'cleared' ? records.recordClear(save, { ms: run.ticks * TICK_MS, continues: run.continues }) : [];
+    }
+    function showEnding(){
+      const { ticks, continues } = run;
+      run = null;
+      const extra = continues ? ` with ${continues} continue${continues === 1 ? '' : 's'}` : ' without a continue';
+      setStory('Arcade cleared', arcade.ENDING.title, `${arcade.ENDING.story} Cleared in ${fmtTicks(ticks)}${extra}.`, 'Back to menu');
+      showIntro(introStory, newMatchConfig());
+    }
+    function nextFight(){
+      if (!arcadeResults()) return;
+      if (runOutcome === 'next') showFightStory();
+      else if (runOutcome === 'cleared') showEnding();
+      else { arcade.continueRun(run); fightArcade(); }
+    }
+    btnStoryGo?.addEventListener('click', () => { if (run) fightArcade(); else backToMenu(); }, { signal });
+    btnStoryQuit?.addEventListener('click', backToMenu, { signal });
+    btnNextFight?.addEventListener('click', nextFight, { signal });
+
+    // Records: matches against the CPU, arcade fights included, add up to lifetime stats and
+    // unlock achievements (js/records.js). The save stays in localStorage and can be exported
+    // and imported as a JSON file.
+    const records = window.Ledger.records;
+    let save = records.loadSave();
+    let perfects = 0;  // perfect rounds in the current match
+    let unlocked = []; // achievements the last match unlocked, for the results screen
+    const keepsRecords = () => !!recorder && !playback && !session && (mode === 'solo' || mode === 'arcade');
+    function recordMatchEnd(e){
+      const won = e.winner === 'player';
+      const mine = e.stats.player;
+      unlocked = records.recordMatch(save, { won, perfectRounds: perfects, tauntStuns: mine.taunts, maxCombo: mine.maxCombo, hard: matchConfig().ai === 'hard' });
+      perfects = 0;
+      if (run) unlocked.push(...finishArcadeFight(won));
+      records.saveSave(save);
+    }
+    const recordsEl = $('recordsDialog');
+    const recordsStats = $('recordsStats');
+    const achievementList = $('achievementList');
+    const recordsStatus = $('recordsStatus');
+    const saveFile = $('saveFile');
+    const recordsOpen = () => !!recordsEl && !recordsEl.hidden;
+    function setRecordsStatus(text){ if (recordsStatus) recordsStatus.textContent = text; }
+    function renderRecords(){
+      const s = save.stats;
+      if (recordsStats){
+        recordsStats.innerHTML = Object.entries(records.STATS).map(([k, label]) => {
+          const v = k === 'bestClearMs' ? (s[k] === null ? '–' : fmtTicks(s[k] / TICK_MS)) : s[k];
+          return `<tr><th scope="row">${label}</th><td>${v}</td></tr>`;
+        }).join('');
+      }
+      if (achievementList){
+        achievementList.replaceChildren(...records.ACHIEVEMENTS.map(a => {
+          const li = document.createElement('li');
+          const when = save.achievements[a.id];
+          li.className = when ? 'unlocked' : '';
+          li.title = when ? `Unlocked ${new Date(when).toLocaleDateString()}` : 'Locked';
+          const name = document.createElement('b');
+          name.textContent = a.name;
+          li.append(name, a.text);
+          return li;
+        }));
+      }
+    }
+    function openRecords(){
+      if (!recordsEl) return;
+      renderRecords();
+      setRecordsStatus('');
+      recordsEl.hidden = false;
+      $('btnRecordsDone')?.focus();
+    }
+    function closeRecords(){
+      if (!recordsOpen()) return;
+      recordsEl.hidden = true;
+      $('introRecordsBtn')?.focus();
+    }
+    $('introRecordsBtn')?.addEventListener('click', openRecords, { signal });
+    $('btnRecordsDone')?.addEventListener('click', closeRecords, { signal });
+    $('btnExportSave')?.addEventListener('click', () => {
+      downloadJson(records.exportSave(save), 'ledger-save');
+      setRecordsStatus('Save exported');
+    }, { signal });
+    $('btnImportSave')?.addEventListener('click', () => saveFile?.click(), { signal });
+    saveFile?.addEventListener('change', async () => {
+      const file = saveFile.files?.[0]; saveFile.value = '';
+      if (!file) return;
+      try {
+        save = records.importSave(await file.text());
+        records.saveSave(save);
+        renderRecords();
+        setRecordsStatus('Save imported');
+      } catch (e) { setRecordsStatus(e.name === 'SaveError' ? e.message : 'Could not load save'); console.error(e); }
+    }, { signal });
+
+    // Character select: a card per roster fighter with its idle frame as the portrait, the picked
+    // fighter's palettes, and its stats as bars against the best in the roster
+    const MOTION_LABELS = { qcf: '↓↘→', qcb: '↓↙←', dp: '→↓↘', dashf: '→→', dashb: '←←' };
+    const FIGHTER_STATS = [['HP', f => f.maxHp], ['Damage', f => f.damage], ['Speed', f => f.walkSpeed], ['Guard', f => f.guard.max]];
+    const rosterFighters = Object.fromEntries(ROSTER.map(id => [id, Fighter.fromManifest(roster[id], 0, 0)]));
+    const pickEls = {
+      player: { roster: $('rosterPlayer'), palettes: $('palettesPlayer'), stats: $('statsPlayer'), shown: null },
+      enemy: { roster: $('rosterEnemy'), palettes: $('palettesEnemy'), stats: $('statsEnemy'), shown: null },
+    };
+    function drawPortrait(canvas, manifest, palette){
+      const sheet = fighterView('player', manifest).sheets.get('idle');
+      const c = canvas?.getContext('2d');
+      if (!c || !sheet) return;
+      const paint = () => {
+        c.clearRect(0, 0, canvas.width, canvas.height);
+        if (!sheet.loaded) return;
+        c.imageSmoothingEnabled = false;
+        c.filter = paletteFilter(manifest, palette) || 'none';
+        c.drawImage(sheet.image, 0, 0, sheet.tileW, sheet.tileH, 0, 0, canvas.width, canvas.height);
+      };
+      if (sheet.loaded) paint(); else sheet.ready.then(paint);
+    }
+    function statsHtml(id){
+      const f = rosterFighters[id];
+      const bars = FIGHTER_STATS.map(([label, get]) => {
+        const best = Math.max(...ROSTER.map(r => get(rosterFighters[r])));
+        return `<dt>${label}</dt><dd><span class="statBar"><i style="width:${Math.round(get(f) / best * 100)}%"></i></span>${get(f)}</dd>`;
+      });
+      const specials = [...f.moves.values()].filter(mv => mv.motion).map(mv => `${mv.label} <b>${MOTION_LABELS[mv.motion]}</b>+attack`);
+      return bars.join('') + (specials.length ? `<dt>Specials</dt><dd class="specials">${specials.join('<br>')}</dd>` : '');
+    }
+    function renderPicks(){
+      picks.enemy.palette = enemyPalette(picks.player, picks.enemy);
+      for (const side of SIDES){
+        const els = pickEls[side], pick = picks[side], m = roster[pick.id];
+        for (const radio of els.roster?.querySelectorAll('input') || []){
+          radio.checked = radio.value === pick.id;
+          drawPortrait(radio.parentElement.querySelector('canvas'), roster[radio.value], radio.checked ? pick.palette : 0);
+        }
+        // Rebuilt only when the fighter changes, so picking a palette keeps keyboard focus
+        if (els.palettes && els.shown !== pick.id){
+          els.palettes.innerHTML = palettesOf(m).map((p, i) => `<label><input type="radio" name="${prefix}palette_${side}" value="${i}" /><span>${p.name}</span></label>`).join('');
+          if (els.stats) els.stats.innerHTML = statsHtml(pick.id);
+          els.shown = pick.id;
+        }
+        for (const radio of els.palettes?.querySelectorAll('input') || []) radio.checked = +radio.value === pick.palette;
+      }
+    }
+    for (const side of SIDES){
+      const els = pickEls[side];
+      if (els.roster) els.roster.innerHTML = ROSTER.map(id => `<label class="card"><input type="radio" name="${prefix}fighter_${side}" value="${id}" /><canvas width="80" height="80" aria-hidden="true"></canvas><span>${roster[id].name || id}</span></label>`).join('');
+      els.roster?.addEventListener('change', (e) => { picks[side] = { id: e.target.value, palette: 0 }; renderPicks(); previewMatch(); }, { signal });
+      els.palettes?.addEventListener('change', (e) => { picks[side].palette = +e.target.value; renderPicks(); previewMatch(); }, { signal });
+    }
+    renderPicks();
+    $('btnRematch')?.addEventListener('click', () => { if (canRestart()){ focusGame(); pending.restart = true; } }, { signal });
+    $('btnMenu')?.addEventListener('click', backToMenu, { signal });
+    $('startBtn')?.addEventListener('click', () => startMatch('solo'), { signal });
+    $('arcadeBtn')?.addEventListener('click', startArcade, { signal });
+    $('versusBtn')?.addEventListener('click', () => startMatch('versus'), { signal });
+    $('trainingBtn')?.addEventListener('click', () => startMatch('training'), { signal });
+
+    // Online versus: both peers run the same match and a rollback session trades their inputs.
+    // The host is P1 and its match settings are used; the guest plays P2. Hit-stop is off online,
+    // because pausing one side's ticks would only make it fall behind the other.
+    const net = window.Ledger.net;
+    const { STATES } = window.Ledger.states;
+    let session = null;       // rollback session while an online match runs
+    let netConnect = null;    // { signaling, abort } while looking for the other player
+    const netStatus = $('netStatus');
+    const netRoom = $('netRoom');
+    function setNetStatus(text){ if (netStatus) netStatus.textContent = text; }
+    async function goOnline(host){
+      leaveOnline();
+      const room = netRoom?.value.trim() || 'ledger';
+      mode = 'online';
+      let signaling;
+      try { signaling = net.createLoopbackSignal(room); }
+      catch (e) { setNetStatus(e.message); return; }
+      const abort = new AbortController();
+      const attempt = netConnect = { signaling, abort };
+      setNetStatus(host ? `Hosting room "${room}"; open this page in another tab and join it` : `Looking for a host in room "${room}"…`);
+      try {
+        // The host takes the guest's pick for P2 (unknown fighters get the host's own right-side pick)
+        const config = host ? (hello) => newMatchConfig(roster[hello?.id] ? { id: hello.id, palette: hello.palette | 0 } : picks.enemy) : null;
+        const { channel, config: agreed } = await net.connectPeer({ signal: signaling, host, config, hello: { ...picks.player }, abort: abort.signal });
+        if (netConnect !== attempt){ channel.close(); return; }
+        signaling.close(); netConnect = null;
+        startOnline(host ? 'p1' : 'p2', channel, agreed);
+      } catch (e) {
+        if (netConnect !== attempt) return;
+        signaling.close(); netConnect = null;
+        setNetStatus(e.name === 'NetError' ? e.message : 'Could not connect');
+        console.error(e);
+      }
+    }
+    function startOnline(side, channel, config){
+      stopAllSounds();
+      keys.clear(); focusGame(); effects.clear(); camera.snap();
+      match = createLiveMatch(config); // the guest plays on the host's stage
+      recorder = createRecorder(config); // only settled ticks are recorded, so saved replays match both peers
+      session = net.createRollbackSession({ match, side, channel, onConfirm: (inputs, events) => {
+        recorder.record(inputs);
+        for (const e of events) if (!signal.aborted) tellHost(e);
+      } });
+      setNetStatus('');
+      if (introEl) introEl.style.display = 'none';
+      if (controlsSolo) controlsSolo.hidden = false;
+      if (controlsVersus) controlsVersus.hidden = true;
+    }
+    function leaveOnline(){
+      if (netConnect){ netConnect.abort.abort(); netConnect.signaling.close(); netConnect = null; }
+      if (session){ session.close(); session = null; }
+    }
+    // A dropped connection or a desync stops the match where it is; its replay can still be saved
+    function syncOnline(){
+      if (!session || (session.status !== 'closed' && session.status !== 'desync')) return;
+      const text = session.status === 'desync'
+        ? `The games went out of sync at tick ${session.desyncTick}; the match was stopped`
+        : 'The other player left';
+      leaveOnline();
+      resumeGame();
+      stopAllSounds();
+      setNetStatus(text);
+      if (introEl) introEl.style.display = '';
+    }
+    function syncLoops(){
+      for (const who of ['player', 'enemy']) views[who].syncLoop(STATES[match[who].current].loopSound, panFor(match[who]));
+    }
+    $('netHostBtn')?.addEventListener('click', () => goOnline(true), { signal });
+    $('netJoinBtn')?.addEventListener('click', () => goOnline(false), { signal });
+
+    // Preload: Start stays disabled until every sheet and sound has loaded, failed or timed out.
+    // Problems are listed on the intro panel (and in the console) instead of leaving a blank fighter.
+    const startButtons = ['startBtn', 'arcadeBtn', 'versusBtn', 'trainingBtn', 'netHostBtn', 'netJoinBtn'].map(id => $(id)).filter(Boolean);
+    const loadingEl = $('loading');
+    const loadFill = $('loadFill');
+    const loadText = $('loadText');
+    const reportEl = $('assetReport');
+    for (const b of startButtons) b.disabled = true;
+    function showAssetReport(report){
+      for (const b of startButtons) b.disabled = false;
+      if (loadingEl) loadingEl.hidden = true;
+      for (const i of report.issues){
+        const line = `[assets] ${i.owner}/${i.name}: ${i.message}`;
+        if (i.level === 'error') console.error(line); else if (i.level === 'warning') console.warn(line); else console.info(line);
+      }
+      if (!reportEl || !report.issues.length) return;
+      const problems = report.errors + report.warnings;
+      const summary = problems ? `${problems} asset problem${problems === 1 ? '' : 's'}` : 'Asset notes';
+      const order = { error: 0, warning: 1, info: 2 };
+      const items = report.issues.slice().sort((a, b) => order[a.level] - order[b.level]).map(i => {
+        const li = document.createElement('li');
+        li.className = i.level;
+        li.textContent = `${i.owner} / ${i.name}: ${i.message}`;
+        return li;
+      });
+      reportEl.querySelector('summary').textContent = `${summary} (${report.issues.length})`;
+      reportEl.querySelector('ul').replaceChildren(...items);
+      reportEl.classList.toggle('problems', problems > 0);
+      reportEl.open = report.errors > 0;
+      reportEl.hidden = false;
+    }
+    const ready = assets.preload((done, total) => {
+      if (loadFill) loadFill.style.width = `${total ? (done/total)*100 : 100}%`;
+      if (loadText) loadText.textContent = `Loading assets… ${done}/${total}`;
+    }).then((report) => { if (!signal.aborted) showAssetReport(report); });
+
+    // Starts a match in one of MODES once the assets have loaded, like its intro button would;
+    // the promise resolves when it has begun
+    function start(nextMode = 'solo'){
+      if (!MODES.includes(nextMode)) throw new Error(`Unknown mode "${nextMode}" (expected ${MODES.join(', ')})`);
+      return ready.then(() => {
+        if (signal.aborted) return;
+        if (playback) exitPlayback();
+        closeControls(); closeRecords();
+        if (nextMode === 'arcade') startArcade(); else startMatch(nextMode);
+      });
+    }
+    // Stops the game for good: listeners, frames, sound and any online connection
+    function destroy(){
+      if (signal.aborted) return;
+      leaveOnline();
+      stopAllSounds();
+      lifetime.abort();
+      cancelAnimationFrame(frame);
+      mixer.close();
+      for (const set of handlers.values()) set.clear();
+      if (template) container.replaceChildren();
+    }
+    return {
+      get mode(){ return mode; },
+      get paused(){ return paused; },
+      ready, // resolves once the assets have loaded, failed or timed out
+      start,
+      // The pause menu, as Esc opens it: only during a local or online match
+      pause(){ pauseGame(); return paused; },
+      resume: resumeGame,
+      destroy,
+      // fn(event) for one of EVENTS; returns a function that removes it again
+      on(type, fn){
+        if (!handlers.has(type)) throw new Error(`Unknown event "${type}" (expected ${EVENTS.join(', ')})`);
+        handlers.get(type).add(fn);
+        return () => handlers.get(type).delete(fn);
+      },
+      off(type, fn){ handlers.get(type)?.delete(fn); },
+    };
+  }
+
+  return { EVENTS, MODES, createGame };
+});
@@ -0,0 +1,129 @@
+// Control bindings: keyboard layouts, gamepad buttons, gamepad polling and localStorage persistence
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).input = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  const ACTIONS = ['left', 'right', 'up', 'down', 'attack', 'taunt', 'block'];
+  const ACTION_LABELS = { left: 'Move left', right: 'Move right', up: 'Jump', down: 'Crouch', attack: 'Attack', taunt: 'Taunt', block: 'Block', start: 'Start / restart' };
+  const STORAGE_KEY = 'controlBindings';
+
+  // Keyboard layouts per mode hold KeyboardEvent.code values. Gamepad entries are button
+  // indices in the browser's "standard" mapping (0 A, 1 B, 3 Y, 9 Start, 12-15 d-pad up/down/left/right);
+  // the left stick always moves as well.
+  const DEFAULT_BINDINGS = {
+    keyboard: {
+      solo: {
+        p1: { left: 'ArrowLeft', right: 'ArrowRight', up: 'ArrowUp', down: 'ArrowDown', attack: 'Space', taunt: 'KeyT', block: 'KeyB' },
+      },
+      versus: {
+        p1: { left: 'KeyA', right: 'KeyD', up: 'KeyW', down: 'KeyS', attack: 'KeyF', taunt: 'KeyG', block: 'KeyH' },
+        p2: { left: 'ArrowLeft', right: 'ArrowRight', up: 'ArrowUp', down: 'ArrowDown', attack: 'KeyJ', taunt: 'KeyK', block: 'KeyL' },
+      },
+    },
+    gamepad: { left: 14, right: 15, up: 12, down: 13, attack: 0, taunt: 3, block: 1, start: 9 },
+  };
+  const GAMEPAD_ACTIONS = Object.keys(DEFAULT_BINDINGS.gamepad);
+  const STICK_DEADZONE = 0.5;
+  // Keys the rebinding screen won't hand out (Escape cancels a rebind)
+  const RESERVED_KEYS = ['Escape'];
+
+  const cloneBindings = (b) => JSON.parse(JSON.stringify(b));
+
+  // Saved bindings are layered over the defaults one entry at a time, so a stale or hand-edited
+  // save can't leave an action unbound
+  function mergeBindings(saved){
+    const out = cloneBindings(DEFAULT_BINDINGS);
+    if (!saved || typeof saved !== 'object') return out;
+    for (const [layout, sides] of Object.entries(out.keyboard)){
+      for (const [side, map] of Object.entries(sides)){
+        const src = saved.keyboard?.[layout]?.[side];
+        for (const a of ACTIONS){
+          const code = src?.[a];
+          if (typeof code === 'string' && code && !RESERVED_KEYS.includes(code)) map[a] = code;
+        }
+      }
+    }
+    for (const a of GAMEPAD_ACTIONS){
+      const idx = saved.gamepad?.[a];
+      if (Number.isInteger(idx) && idx >= 0) out.gamepad[a] = idx;
+    }
+    return out;
+  }
+
+  // storage defaults to window.localStorage; private browsing or a full quota just means defaults
+  function loadBindings(storage = globalThis.localStorage){
+    try { return mergeBindings(JSON.parse(storage?.getItem(STORAGE_KEY) || 'null')); }
+    catch { return cloneBindings(DEFAULT_BINDINGS); }
+  }
+  function saveBindings(bindings, storage = globalThis.localStorage){
+    try { storage?.setItem(STORAGE_KEY, JSON.stringify(bindings)); return true; }
+    catch { return false; }
+  }
+
+  // Bind a key to an action in one keyboard layout. A key can only do one thing per layout, so
+  // whatever held it before (on either side) takes over the action's old key.
+  function bindKey(bindings, layout, side, action, code){
+    if (RESERVED_KEYS.includes(code)) return false;
+    const sides = bindings.keyboard[layout];
+    const old = sides[side][action];
+    for (const map of Object.values(sides)){
+      for (const a of ACTIONS) if (map[a] === code) map[a] = old;
+    }
+    sides[side][action] = code;
+    return true;
+  }
+  // Same swap rule for gamepad buttons
+  function bindButton(bindings, action, index){
+    const pad = bindings.gamepad;
+    const old = pad[action];
+    for (const a of GAMEPAD_ACTIONS) if (pad[a] === index) pad[a] = old;
+    pad[action] = index;
+    return true;
+  }
+
+  const KEY_NAMES = {
+    ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Space: 'Space', Enter: 'Enter',
+    ShiftLeft: 'L Shift', ShiftRight: 'R Shift', ControlLeft: 'L Ctrl', ControlRight: 'R Ctrl',
+    AltLeft: 'L Alt', AltRight: 'R Alt', Comma: ',', Period: '.', Slash: '/', Semicolon: ';',
+    Quote: "'", BracketLeft: '[', BracketRight: ']', Backslash: '\\', Minus: '-', Equal: '=', Backquote: '`',
+  };
+  function keyLabel(code){
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    const m = /^(?:Key|Digit)(.)$/.exec(code) || /^Numpad(.+)$/.exec(code);
+    return m ? (code.startsWith('Numpad') ? `Num ${m[1]}` : m[1]) : code;
+  }
+  const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+  const buttonLabel = (index) => BUTTON_NAMES[index] || `Button ${index}`;
+
+  const pressed = (gp, index) => {
+    const b = gp.buttons[index];
+    return !!b && (typeof b === 'object' ? b.pressed || b.value > 0.5 : b > 0.5);
+  };
+  // One gamepad -> a pad in the same shape the keyboard produces, plus the Start button
+  function readGamepad(gp, map=DEFAULT_BINDINGS.gamepad){
+    const pad = {};
+    for (const a of ACTIONS) pad[a] = pressed(gp, map[a]);
+    const x = gp.axes?.[0] || 0, y = gp.axes?.[1] || 0;
+    if (x <= -STICK_DEADZONE) pad.left = true;
+    if (x >= STICK_DEADZONE) pad.right = true;
+    if (y <= -STICK_DEADZONE) pad.up = true;
+    if (y >= STICK_DEADZONE) pad.down = true;
+    return { pad, start: pressed(gp, map.start) };
+  }
+  // Index of the first pressed button, for the rebinding screen
+  function firstPressed(gp){
+    for (let i = 0; i < gp.buttons.length; i++) if (pressed(gp, i)) return i;
+    return -1;
+  }
+  // Connected pads in a stable order; in versus the first one is P1 and the second P2
+  function connectedPads(list){
+    return Array.from(list || []).filter(gp => gp && gp.connected !== false).sort((a, b) => a.index - b.index);
+  }
+
+  return {
+    ACTIONS, ACTION_LABELS, GAMEPAD_ACTIONS, STORAGE_KEY, DEFAULT_BINDINGS, STICK_DEADZONE, RESERVED_KEYS,
+    cloneBindings, mergeBindings, loadBindings, saveBindings, bindKey, bindButton,
+    keyLabel, buttonLabel, readGamepad, firstPressed, connectedPads,
+  };
+});
@@ -0,0 +1,85 @@
+// Input buffer and motion inputs: per-tick direction history, buffered presses and move commands
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).moves = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  // Directions use numpad notation relative to the way the fighter faces:
+  //   7 8 9     up-back   up   up-forward
+  //   4 5 6  =  back   neutral  forward
+  //   1 2 3     down-back down  down-forward
+  const BUFFER_TICKS = 30; // history kept per fighter
+  const PRESS_WINDOW = 8;  // a press stays usable this many ticks, so it can be buffered through recovery
+  const BUTTONS = ['attack', 'taunt', 'block'];
+  // steps: directions in order (repeats collapse); window: ticks the whole motion may take
+  const MOTIONS = {
+    qcf: { steps: [2, 3, 6], window: 16 },   // quarter-circle forward
+    qcb: { steps: [2, 1, 4], window: 16 },   // quarter-circle back
+    dp: { steps: [6, 2, 3], window: 16 },    // forward, down, down-forward
+    dashf: { steps: [6, 5, 6], window: 12 }, // double-tap forward
+    dashb: { steps: [4, 5, 4], window: 12 }, // double-tap back
+  };
+  const MOTION_NAMES = Object.keys(MOTIONS);
+
+  function direction(pad, facing=1){
+    const x = ((pad.right ? 1 : 0) - (pad.left ? 1 : 0)) * (facing < 0 ? -1 : 1);
+    const y = (pad.up ? 1 : 0) - (pad.down ? 1 : 0);
+    return 5 + x + 3 * y;
+  }
+
+  // One entry per tick: the direction held and the buttons that went down that tick.
+  // consume() marks everything so far as used, so one input can't start two moves.
+  function createInputBuffer(size=BUFFER_TICKS){
+    const entries = []; // { tick, dir, pressed: { attack, ... } }
+    let tick = 0, cutoff = 0, held = {};
+    const recent = (window) => entries.filter(e => e.tick > cutoff && e.tick > tick - window);
+    // Direction held just before the usable entries, so one already held then isn't a fresh step
+    const dirBefore = (window) => entries.findLast(e => e.tick <= Math.max(cutoff, tick - window))?.dir ?? 5;
+    return {
+      push(pad, facing){
+        tick++;
+        const pressed = {};
+        for (const b of BUTTONS) pressed[b] = !!pad[b] && !held[b];
+        held = { ...pad };
+        entries.push({ tick, dir: direction(pad, facing), pressed });
+        if (entries.length > size) entries.shift();
+      },
+      pressed(button, window=PRESS_WINDOW){ return recent(window).some(e => e.pressed[button]); },
+      // The steps have to come in order inside the motion's window, ending within PRESS_WINDOW
+      motion(name){
+        const mo = MOTIONS[name]; if (!mo) return false;
+        let i = 0, last = -Infinity, prev = dirBefore(mo.window);
+        for (const e of recent(mo.window)){
+          if (e.dir !== prev && e.dir === mo.steps[i]){ i++; last = e.tick; }
+          prev = e.dir;
+          if (i === mo.steps.length) break;
+        }
+        return i === mo.steps.length && tick - last < PRESS_WINDOW;
+      },
+      consume(){ cutoff = tick; },
+      clear(){ entries.length = 0; cutoff = tick; held = {}; },
+      snapshot(){ return { entries: entries.map(e => ({ ...e, pressed: { ...e.pressed } })), tick, cutoff, held: { ...held } }; },
+      restore(s){
+        entries.length = 0;
+        for (const e of s.entries) entries.push({ ...e, pressed: { ...e.pressed } });
+        ({ tick, cutoff } = s); held = { ...s.held };
+      },
+      get dir(){ return entries.length ? entries[entries.length - 1].dir : 5; },
+    };
+  }
+
+  // The pads that enter a motion one tick per step (for AI controllers)
+  function motionPads(name, facing=1){
+    const fwd = facing < 0 ? 'left' : 'right', back = facing < 0 ? 'right' : 'left';
+    return (MOTIONS[name]?.steps || []).map(d => {
+      const pad = {};
+      if (d % 3 === 0) pad[fwd] = true;
+      if (d % 3 === 1) pad[back] = true;
+      if (d <= 3) pad.down = true;
+      if (d >= 7) pad.up = true;
+      return pad;
+    });
+  }
+
+  return { BUFFER_TICKS, PRESS_WINDOW, BUTTONS, MOTIONS, MOTION_NAMES, direction, createInputBuffer, motionPads };
+});
@@ -0,0 +1,211 @@
+// Online versus: signaling, a WebRTC data channel between two peers, and a rollback session
+(function(root, factory){
+  const replay = typeof module === 'object' && module.exports ? require('./replay.js') : root.Ledger.replay;
+  const api = factory(replay);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).net = api;
+})(typeof self !== 'undefined' ? self : this, function(replay){
+  const { encodeInputs, decodeInputs } = replay;
+  const INPUT_DELAY = 2;     // ticks a local input waits before it is used, so most arrive in time
+  const MAX_ROLLBACK = 8;    // furthest the session predicts ahead of the peer before it waits
+  const CHECKSUM_EVERY = 60; // ticks between desync checks
+  const JOIN_RETRY_MS = 1000;
+  const START = encodeInputs({ start: true });
+  const COMMANDS = encodeInputs({ start: true, restart: true });
+
+  class NetError extends Error {
+    constructor(message){ super(message); this.name = 'NetError'; }
+  }
+
+  // Signaling carries the few messages that set up a connection. Anything with
+  //   send(msg), onmessage = (msg) => {}, close()
+  // works (a WebSocket relay, copy and paste, ...). This one uses a BroadcastChannel, so two tabs
+  // of the same site on one machine can find each other without any server.
+  function createLoopbackSignal(room='ledger', { Channel = globalThis.BroadcastChannel } = {}){
+    if (!Channel) throw new NetError('This browser has no BroadcastChannel for local signaling');
+    const bc = new Channel(`ledger-net:${room}`);
+    const signal = { send(msg){ bc.postMessage(msg); }, onmessage: null, close(){ bc.close(); } };
+    bc.onmessage = (e) => signal.onmessage?.(e.data);
+    return signal;
+  }
+
+  // Wraps an RTCDataChannel as { send(obj), onmessage(obj), onclose(), close() } with JSON messages
+  function wrapDataChannel(dc, pc){
+    const ch = {
+      send(obj){ if (dc.readyState === 'open') dc.send(JSON.stringify(obj)); },
+      onmessage: null, onclose: null,
+      close(){ dc.close(); pc?.close(); },
+    };
+    dc.onmessage = (e) => { try { ch.onmessage?.(JSON.parse(e.data)); } catch {} };
+    dc.onclose = () => ch.onclose?.();
+    return ch;
+  }
+
+  // Connect to one peer over WebRTC. The host sends the match config with its offer; the guest
+  // keeps announcing itself until an offer arrives, so either side may start first.
+  // The guest's `hello` (plain data, e.g. its character pick) rides on its announcement; the host's
+  // config may be a function of it, hello => config.
+  // Resolves { channel, config } once the data channel is open; aborting `abort` (an AbortSignal)
+  // gives up and rejects.
+  function connectPeer({ signal, host, config = null, hello = null, RTC = globalThis.RTCPeerConnection, iceServers = [], abort = null }){
+    if (!RTC) return Promise.reject(new NetError('This browser has no WebRTC support'));
+    const pc = new RTC({ iceServers });
+    const pending = []; // ICE candidates that arrived before the remote description
+    let joinTimer = null;
+    return new Promise((resolve, reject) => {
+      let matchConfig = config;
+      const fail = (err) => { clearInterval(joinTimer); signal.onmessage = null; pc.close(); reject(err); };
+      abort?.addEventListener('abort', () => fail(new NetError('Cancelled')));
+      const opened = (dc) => {
+        dc.onopen = () => { clearInterval(joinTimer); resolve({ channel: wrapDataChannel(dc, pc), config: matchConfig }); };
+      };
+      pc.onicecandidate = (e) => { if (e.candidate) signal.send({ kind: 'ice', candidate: e.candidate.toJSON?.() ?? e.candidate }); };
+      pc.onconnectionstatechange = () => { if (pc.connectionState === 'failed') fail(new NetError('Could not connect to the other player')); };
+      const addRemote = async (desc) => {
+        await pc.setRemoteDescription(desc);
+        for (const c of pending.splice(0)) await pc.addIceCandidate(c);
+      };
+      // Inputs are resent until acknowledged, so the channel doesn't need to retransmit or keep order
+      if (host) opened(pc.createDataChannel('inputs', { ordered: false, maxRetransmits: 0 }));
+      else pc.ondatachannel = (e) => opened(e.channel);
+      let offered = false;
+      signal.onmessage = async (msg) => {
+        try {
+          if (msg?.kind === 'join' && host && !offered){
+            offered = true;
+            if (typeof config === 'function') matchConfig = config(msg.hello ?? null);
+            await pc.setLocalDescription(await pc.createOffer());
+            signal.send({ kind: 'offer', sdp: pc.localDescription.toJSON?.() ?? pc.localDescription, config: matchConfig });
+          } else if (msg?.kind === 'offer' && !host && !pc.remoteDescription){
+            matchConfig = msg.config;
+            await addRemote(msg.sdp);
+            await pc.setLocalDescription(await pc.createAnswer());
+            signal.send({ kind: 'answer', sdp: pc.localDescription.toJSON?.() ?? pc.localDescription });
+          } else if (msg?.kind === 'answer' && host && !pc.remoteDescription){
+            await addRemote(msg.sdp);
+          } else if (msg?.kind === 'ice'){
+            if (pc.remoteDescription) await pc.addIceCandidate(msg.candidate);
+            else pending.push(msg.candidate);
+          }
+        } catch (e) {
+          fail(e instanceof NetError ? e : new NetError(`Connection setup failed: ${e.message}`));
+        }
+      };
+      if (!host){
+        signal.send({ kind: 'join', hello });
+        joinTimer = setInterval(() => signal.send({ kind: 'join', hello }), JOIN_RETRY_MS);
+      }
+    });
+  }
+
+  // Rollback session: both peers run the same match from the same config. Each tick uses this
+  // side's input (delayed by inputDelay) and the peer's, predicted as "same buttons as last time"
+  // until it arrives. A late input that differs rewinds the match to that tick and re-simulates;
+  // the events of re-simulated ticks are dropped. Every checksumEvery ticks, once both inputs are
+  // known, the peers compare match.checksum() and a mismatch ends the session as a desync.
+  //   side: 'p1' | 'p2'; channel: { send(obj), onmessage, onclose }
+  //   onConfirm(inputs, events): each tick's final inputs and the events it settled with, in order
+  //     (for a replay recorder, or anything that must not see a prediction later undone)
+  function createRollbackSession({ match, side, channel, inputDelay = INPUT_DELAY, maxRollback = MAX_ROLLBACK, checksumEvery = CHECKSUM_EVERY, onConfirm = null }){
+    const local = new Map(), remote = new Map(), used = new Map(); // tick -> input mask
+    const snapshots = new Map(); // tick -> match state before that tick ran
+    const results = new Map();   // tick -> the events of its latest run
+    const sums = new Map(), peerSums = new Map();
+    let remoteHigh = inputDelay; // peer inputs are known up to here (the first ticks are empty on both sides)
+    let confirmed = match.tick;  // ticks up to here have final inputs and are settled
+    let peerAck = inputDelay;    // our inputs the peer has up to here
+    let rollbackTo = Infinity;
+    for (let t = 1; t <= inputDelay; t++){ local.set(t, 0); remote.set(t, 0); }
+    const s = {
+      side, inputDelay, maxRollback,
+      status: 'running', // 'running' | 'waiting' | 'desync' | 'closed'
+      desyncTick: null,
+      stats: { rollbacks: 0, resimulated: 0, waits: 0 },
+      rolledBack: false, // set by the tick() that last rewound, so callers can resync looping sounds
+      get lag(){ return match.tick - remoteHigh; },
+      tick, close,
+    };
+
+    const predict = () => (remote.get(remoteHigh) ?? 0) & ~COMMANDS;
+    function simulate(t){
+      snapshots.set(t, match.snapshot());
+      const theirs = remote.has(t) ? remote.get(t) : predict();
+      used.set(t, theirs);
+      const mask = local.get(t) | theirs | (t === 1 ? START : 0);
+      const events = match.step(decodeInputs(mask, { p2: true }));
+      results.set(t, events);
+      if (t % checksumEvery === 0) sums.set(t, match.checksum());
+      return events;
+    }
+    function send(){
+      const from = peerAck + 1, masks = [];
+      for (let t = from; local.has(t) && masks.length < 64; t++) masks.push(local.get(t));
+      channel.send({ k: 'in', from, masks, ack: remoteHigh });
+    }
+    function compareSum(t){
+      if (!sums.has(t) || !peerSums.has(t) || t > confirmed) return;
+      if (sums.get(t) !== peerSums.get(t)){ s.status = 'desync'; s.desyncTick = t; }
+      peerSums.delete(t);
+    }
+    channel.onmessage = (msg) => {
+      if (msg?.k === 'in'){
+        peerAck = Math.max(peerAck, msg.ack | 0);
+        for (let i = 0; i < msg.masks.length; i++){
+          const t = msg.from + i;
+          if (t !== remoteHigh + 1) continue; // already have it, or a gap (resent later)
+          remote.set(t, msg.masks[i] >>> 0);
+          remoteHigh = t;
+          if (used.has(t) && used.get(t) !== remote.get(t)) rollbackTo = Math.min(rollbackTo, t);
+        }
+      } else if (msg?.k === 'sum'){
+        peerSums.set(msg.tick, msg.sum);
+        compareSum(msg.tick);
+      }
+    };
+    channel.onclose = () => { if (s.status !== 'desync') s.status = 'closed'; };
+
+    // Advance one tick with this side's pad (and restart command). Returns the tick's events, or
+    // null while waiting for the peer or after the session has ended.
+    function tick(pad = {}, { restart = false } = {}){
+      s.rolledBack = false;
+      if (s.status === 'desync' || s.status === 'closed') return null;
+      const next = match.tick + 1;
+      if (!local.has(next + inputDelay)) local.set(next + inputDelay, encodeInputs({ [side]: pad, restart }));
+      send();
+      if (rollbackTo <= match.tick){
+        const to = match.tick;
+        match.restore(snapshots.get(rollbackTo));
+        for (let t = rollbackTo; t <= to; t++){ simulate(t); s.stats.resimulated++; }
+        s.stats.rollbacks++; s.rolledBack = true;
+      }
+      rollbackTo = Infinity;
+      if (next - remoteHigh > maxRollback){
+        if (s.status !== 'waiting') s.stats.waits++;
+        s.status = 'waiting';
+        return null;
+      }
+      s.status = 'running';
+      const events = simulate(next);
+      // Settle ticks both inputs are known for: record them, share and check their checksums
+      while (confirmed < Math.min(remoteHigh, match.tick)){
+        const t = ++confirmed;
+        onConfirm?.(decodeInputs(local.get(t) | remote.get(t) | (t === 1 ? START : 0), { p2: true }), results.get(t));
+        if (sums.has(t)){ channel.send({ k: 'sum', tick: t, sum: sums.get(t) }); compareSum(t); }
+        snapshots.delete(t); used.delete(t); results.delete(t);
+        if (t > checksumEvery * 4) sums.delete(t - checksumEvery * 4);
+      }
+      // Our inputs are kept until the peer has them; theirs only until the last one predictions use
+      for (const t of local.keys()) if (t <= Math.min(peerAck, confirmed)) local.delete(t);
+      for (const t of remote.keys()) if (t < confirmed) remote.delete(t);
+      return events;
+    }
+    function close(){
+      if (s.status === 'running' || s.status === 'waiting') s.status = 'closed';
+      channel.onmessage = null; channel.onclose = null;
+      channel.close?.();
+    }
+    return s;
+  }
+
+  return { INPUT_DELAY, MAX_ROLLBACK, CHECKSUM_EVERY, NetError, createLoopbackSignal, connectPeer, createRollbackSession };
+});
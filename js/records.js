@@ -0,0 +1,117 @@
+// Records: lifetime stats and achievements, kept in localStorage and portable as a JSON save file
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).records = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  const STORAGE_KEY = 'ledgerSave';
+  const FORMAT = 'ledger-save';
+  const VERSION = 1;
+
+  class SaveError extends Error {
+    constructor(message){ super(message); this.name = 'SaveError'; }
+  }
+
+  // Counters start at 0; bestClearMs stays null until the arcade ladder is first cleared
+  const STATS = {
+    matches: 'Matches played',
+    wins: 'Matches won',
+    losses: 'Matches lost',
+    perfectRounds: 'Perfect rounds',
+    tauntStuns: 'Taunt stuns',
+    bestCombo: 'Longest combo',
+    hardWins: 'Wins against Hard',
+    clears: 'Arcade clears',
+    noContinueClears: 'Clears without continues',
+    bestClearMs: 'Best clear time',
+  };
+  // Each achievement unlocks the first time its test passes on the stats
+  const ACHIEVEMENTS = [
+    { id: 'firstWin', name: 'Paper trail', text: 'Win a match', test: s => s.wins >= 1 },
+    { id: 'perfect', name: 'Untouched', text: 'Win a round without taking damage', test: s => s.perfectRounds >= 1 },
+    { id: 'heckler', name: 'Heckler', text: 'Stun opponents with 10 taunts', test: s => s.tauntStuns >= 10 },
+    { id: 'combo5', name: 'Compound interest', text: 'Land a 5-hit combo', test: s => s.bestCombo >= 5 },
+    { id: 'hard', name: 'Hostile audit', text: 'Beat the CPU on Hard', test: s => s.hardWins >= 1 },
+    { id: 'clear', name: 'Balanced books', text: 'Clear the arcade ladder', test: s => s.clears >= 1 },
+    { id: 'noContinue', name: 'No bailouts', text: 'Clear the arcade ladder without a continue', test: s => s.noContinueClears >= 1 },
+    { id: 'speedrun', name: 'High-frequency trader', text: 'Clear the arcade ladder in under 5 minutes', test: s => s.bestClearMs !== null && s.bestClearMs < 5 * 60 * 1000 },
+  ];
+
+  function newStats(){
+    const s = Object.fromEntries(Object.keys(STATS).map(k => [k, 0]));
+    s.bestClearMs = null;
+    return s;
+  }
+  const newSave = () => ({ stats: newStats(), achievements: {} }); // achievements: id -> unlock time (ms since epoch)
+
+  // Keeps what fits and drops the rest, so a hand-edited or older save loads as far as it can
+  function cleanSave(data){
+    const save = newSave();
+    const isObj = (v) => !!v && typeof v === 'object';
+    const stats = isObj(data?.stats) ? data.stats : {};
+    for (const k of Object.keys(STATS)){
+      const v = stats[k];
+      if (Number.isFinite(v) && v >= 0) save.stats[k] = Math.floor(v);
+    }
+    const unlocked = isObj(data?.achievements) ? data.achievements : {};
+    for (const a of ACHIEVEMENTS){
+      if (Number.isFinite(unlocked[a.id])) save.achievements[a.id] = unlocked[a.id];
+    }
+    return save;
+  }
+  // storage defaults to window.localStorage; private browsing or a full quota just means a fresh save
+  function loadSave(storage = globalThis.localStorage){
+    try { return cleanSave(JSON.parse(storage?.getItem(STORAGE_KEY) || 'null')); }
+    catch { return newSave(); }
+  }
+  function saveSave(save, storage = globalThis.localStorage){
+    try { storage?.setItem(STORAGE_KEY, JSON.stringify(save)); return true; }
+    catch { return false; }
+  }
+
+  // Unlocks whatever the stats now earn; returns the achievements unlocked just now
+  function unlock(save, now = Date.now()){
+    const fresh = ACHIEVEMENTS.filter(a => !(a.id in save.achievements) && a.test(save.stats));
+    for (const a of fresh) save.achievements[a.id] = now;
+    return fresh;
+  }
+  // One finished match against the CPU, from the player's side:
+  //   { won, perfectRounds, tauntStuns, maxCombo, hard }   (hard: the CPU played the Hard preset)
+  function recordMatch(save, r){
+    const s = save.stats;
+    s.matches++;
+    if (r.won) s.wins++; else s.losses++;
+    s.perfectRounds += r.perfectRounds || 0;
+    s.tauntStuns += r.tauntStuns || 0;
+    s.bestCombo = Math.max(s.bestCombo, r.maxCombo || 0);
+    if (r.won && r.hard) s.hardWins++;
+    return unlock(save);
+  }
+  // A cleared arcade ladder: { ms, continues }, ms being the match time of every fight in the run
+  function recordClear(save, { ms, continues }){
+    const s = save.stats;
+    s.clears++;
+    if (!continues) s.noContinueClears++;
+    ms = Math.round(ms);
+    if (s.bestClearMs === null || ms < s.bestClearMs) s.bestClearMs = ms;
+    return unlock(save);
+  }
+
+  function exportSave(save){
+    return { format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), ...cleanSave(save) };
+  }
+  // Throws SaveError if the data isn't a save this build can read
+  function importSave(json){
+    let data = json;
+    if (typeof json === 'string'){
+      try { data = JSON.parse(json); }
+      catch (e) { throw new SaveError(`Save is not valid JSON: ${e.message}`); }
+    }
+    if (!data || data.format !== FORMAT) throw new SaveError('Not a save file');
+    if (data.version > VERSION) throw new SaveError(`Save version ${data.version} is newer than this game supports (${VERSION})`);
+    if (!data.stats || typeof data.stats !== 'object' || Array.isArray(data.stats)) throw new SaveError('Save is missing its stats');
+    return cleanSave(data);
+  }
+
+  return { STORAGE_KEY, FORMAT, VERSION, STATS, ACHIEVEMENTS, SaveError, newSave, loadSave, saveSave, recordMatch, recordClear, exportSave, importSave };
+});
@@ -0,0 +1,145 @@
+// Match replays: per-tick input recording, compact JSON files and deterministic playback
+(function(root, factory){
+  const sim = typeof module === 'object' && module.exports ? require('./sim.js') : root.Ledger.sim;
+  const api = factory(sim);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).replay = api;
+})(typeof self !== 'undefined' ? self : this, function(sim){
+  const FORMAT = 'ledger-replay';
+  const VERSION = 5; // 2: best-of-N rounds, round clock and automatic round advance; 3: jump/crouch physics; 4: input buffer and moves; 5: state table
+  const BUTTONS = ['left', 'right', 'up', 'down', 'attack', 'taunt', 'block'];
+  const COMMANDS = ['start', 'restart'];
+  const SIDES = ['p1', 'p2'];
+  const MAX_TICKS = sim.TICK_HZ * 60 * 60; // an hour of play; longer files are refused before anything is allocated
+
+  class ReplayError extends Error {
+    constructor(message){ super(message); this.name = 'ReplayError'; }
+  }
+
+  // One tick of inputs <-> bitmask: p1 buttons, then p2 buttons, then match commands
+  function encodeInputs(inputs, buttons=BUTTONS, commands=COMMANDS){
+    let mask = 0, bit = 0;
+    for (const side of SIDES){
+      const pad = inputs[side];
+      for (const b of buttons){ if (pad && pad[b]) mask |= 1 << bit; bit++; }
+    }
+    for (const c of commands){ if (inputs[c]) mask |= 1 << bit; bit++; }
+    return mask;
+  }
+  function decodeInputs(mask, { buttons=BUTTONS, commands=COMMANDS, p2=false } = {}){
+    const out = {};
+    let bit = 0;
+    for (const side of SIDES){
+      const pad = {};
+      for (const b of buttons){ pad[b] = !!(mask & (1 << bit)); bit++; }
+      if (side === 'p1' || p2) out[side] = pad;
+    }
+    for (const c of commands){ out[c] = !!(mask & (1 << bit)); bit++; }
+    return out;
+  }
+
+  // Inputs change rarely between ticks, so masks are stored as flat [mask, runLength, ...] pairs
+  function encodeRuns(masks){
+    const runs = [];
+    for (const m of masks){
+      const n = runs.length;
+      if (n && runs[n-2] === m) runs[n-1]++;
+      else runs.push(m, 1);
+    }
+    return runs;
+  }
+  // Ticks covered by the runs; throws ReplayError for a run that isn't a whole number of ticks or a stream past MAX_TICKS
+  function countRuns(runs){
+    let total = 0;
+    for (let i = 1; i < runs.length; i += 2){
+      if (!Number.isInteger(runs[i]) || runs[i] < 1) throw new ReplayError(`Replay input stream is corrupt (run ${(i-1)/2} is ${runs[i]} ticks long)`);
+      total += runs[i];
+      if (total > MAX_TICKS) throw new ReplayError(`Replay is longer than ${MAX_TICKS / sim.TICK_HZ / 60} minutes`);
+    }
+    return total;
+  }
+  function decodeRuns(runs){
+    const masks = new Uint32Array(countRuns(runs));
+    let t = 0;
+    for (let i = 0; i < runs.length; i += 2) masks.fill(runs[i], t, t += runs[i+1]);
+    return masks;
+  }
+
+  // Records everything needed to re-run a match: its config plus one input mask per tick.
+  // config is what was passed to createMatch ({ player, enemy, seed, world, ... }).
+  function createRecorder(config){
+    const masks = [];
+    return {
+      get ticks(){ return masks.length; },
+      record(inputs){ masks.push(encodeInputs(inputs)); },
+      // Forgets everything after the first `ticks` ticks, for a match restored to that point
+      truncate(ticks){ masks.length = Math.min(masks.length, Math.max(0, ticks)); },
+      toJSON(extra={}){
+        return {
+          format: FORMAT, version: VERSION, tickHz: sim.TICK_HZ,
+          createdAt: new Date().toISOString(),
+          buttons: BUTTONS, commands: COMMANDS,
+          config: JSON.parse(JSON.stringify(config)),
+          ticks: masks.length,
+          inputs: encodeRuns(masks),
+          ...extra,
+        };
+      },
+    };
+  }
+
+  // Throws ReplayError if the data can't be played back
+  function parseReplay(data){
+    if (typeof data === 'string'){
+      try { data = JSON.parse(data); }
+      catch (e) { throw new ReplayError(`Replay is not valid JSON: ${e.message}`); }
+    }
+    if (!data || data.format !== FORMAT) throw new ReplayError('Not a replay file');
+    if (data.version > VERSION) throw new ReplayError(`Replay version ${data.version} is newer than this game supports (${VERSION})`);
+    if (data.version < VERSION) throw new ReplayError(`Replay version ${data.version} was recorded with older match rules, physics or moves and can't be played back`);
+    if (data.tickHz !== sim.TICK_HZ) throw new ReplayError(`Replay was recorded at ${data.tickHz} Hz; this build runs at ${sim.TICK_HZ} Hz`);
+    const c = data.config;
+    if (!c || !c.player || !c.enemy || typeof c.seed !== 'number') throw new ReplayError('Replay is missing its match config');
+    if (!Array.isArray(data.inputs) || data.inputs.length % 2 || data.inputs.some(n => !Number.isInteger(n) || n < 0)){
+      throw new ReplayError('Replay input stream is corrupt');
+    }
+    if (countRuns(data.inputs) !== data.ticks) throw new ReplayError(`Replay input stream doesn't match its tick count (${data.ticks})`);
+    if (!Array.isArray(data.buttons) || !Array.isArray(data.commands)) throw new ReplayError('Replay is missing its button layout');
+    return data;
+  }
+
+  // Steps a fresh match through recorded inputs. Seeking re-simulates from tick 0, which is
+  // cheap because the simulation never touches the DOM.
+  function createPlayback(data){
+    const replay = parseReplay(data);
+    const masks = decodeRuns(replay.inputs);
+    const layout = { buttons: replay.buttons, commands: replay.commands, p2: !!replay.config.p2Human };
+    const pb = {
+      replay,
+      length: masks.length,
+      tick: 0,
+      match: null,
+      atEnd(){ return pb.tick >= pb.length; },
+      // Advance one recorded tick; returns the simulation events (empty at the end)
+      step(){
+        if (pb.atEnd()) return [];
+        const events = pb.match.step(decodeInputs(masks[pb.tick], layout));
+        pb.tick++;
+        return events;
+      },
+      seek(target){
+        target = Math.max(0, Math.min(pb.length, target|0));
+        if (target < pb.tick || !pb.match){
+          pb.match = sim.createMatch(replay.config);
+          pb.tick = 0;
+        }
+        while (pb.tick < target) pb.step();
+        return pb.match;
+      },
+    };
+    pb.seek(0);
+    return pb;
+  }
+
+  return { FORMAT, VERSION, MAX_TICKS, BUTTONS, COMMANDS, ReplayError, encodeInputs, decodeInputs, encodeRuns, decodeRuns, createRecorder, parseReplay, createPlayback };
+});
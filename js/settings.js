@@ -0,0 +1,120 @@
+// Player settings: one model for everything the game remembers between visits, saved to
+// localStorage and overridable for a single visit through URL parameters
+(function(root, factory){
+  const node = typeof module === 'object' && module.exports;
+  const api = node
+    ? factory(require('./sim.js'), require('./ai.js'), require('./stages.js'), require('./audio.js'))
+    : factory(root.Ledger.sim, root.Ledger.ai, root.Ledger.stages, root.Ledger.audio);
+  if (node) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).settings = api;
+})(typeof self !== 'undefined' ? self : this, function(sim, ai, stages, audio){
+  const STORAGE_KEY = 'gameSettings';
+  const LEGACY_KEYS = { sound: 'audioSettings', reducedMotion: 'reducedMotion' }; // read once, never written
+  // type 'choice' takes one of `values`, 'number' is clamped to min..max, 'boolean' is on/off
+  const SETTINGS = {
+    difficulty: { type: 'choice', values: ai.DIFFICULTIES, default: 'normal' },
+    bestOf: { type: 'choice', values: [1, 3, 5], default: sim.BEST_OF },
+    stage: { type: 'choice', values: [...stages.STAGE_IDS, 'random'], default: stages.DEFAULT_STAGE },
+    trainingHp: { type: 'choice', values: sim.TRAINING_HP, default: sim.TRAINING_HP[0] },
+    master: { type: 'number', min: 0, max: 1, default: audio.DEFAULT_SETTINGS.master },
+    sfx: { type: 'number', min: 0, max: 1, default: audio.DEFAULT_SETTINGS.sfx },
+    music: { type: 'number', min: 0, max: 1, default: audio.DEFAULT_SETTINGS.music },
+    muted: { type: 'boolean', default: audio.DEFAULT_SETTINGS.muted },
+    reducedMotion: { type: 'boolean', default: false },
+    autoPause: { type: 'boolean', default: true }, // pause a local match when the page loses focus
+  };
+  const URL_ALIASES = { volume: 'master' };
+  const TRUE = ['true', '1', 'on', 'yes'], FALSE = ['false', '0', 'off', 'no'];
+
+  // A raw value (saved JSON, a form field or a URL parameter) as the setting's type; undefined if it doesn't fit
+  function coerce(key, raw){
+    const s = SETTINGS[key];
+    if (!s || raw === undefined || raw === null) return undefined;
+    if (s.type === 'choice') return s.values.find(v => String(v) === String(raw));
+    if (s.type === 'boolean'){
+      if (typeof raw === 'boolean') return raw;
+      const t = String(raw).toLowerCase();
+      return TRUE.includes(t) ? true : FALSE.includes(t) ? false : undefined;
+    }
+    if (raw === '' || typeof raw === 'boolean') return undefined;
+    const n = Number(raw);
+    return Number.isFinite(n) ? Math.max(s.min, Math.min(s.max, n)) : undefined;
+  }
+
+  // Volumes and reduced motion were saved under their own keys before this model existed, and
+  // reduced motion starts from the OS setting, so those are the defaults until the first save
+  function defaults(storage){
+    const out = Object.fromEntries(Object.entries(SETTINGS).map(([k, s]) => [k, s.default]));
+    out.reducedMotion = !!globalThis.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    try {
+      const sound = JSON.parse(storage?.getItem(LEGACY_KEYS.sound) || 'null');
+      if (sound && typeof sound === 'object'){
+        for (const k of [...audio.BUSES, 'muted']){
+          const v = coerce(k, sound[k]);
+          if (v !== undefined) out[k] = v;
+        }
+      }
+      const motion = storage?.getItem(LEGACY_KEYS.reducedMotion);
+      if (motion === '1' || motion === '0') out.reducedMotion = motion === '1';
+    } catch {}
+    return out;
+  }
+  // storage defaults to window.localStorage; private browsing or a full quota just means defaults
+  function loadSettings(storage = globalThis.localStorage){
+    const out = defaults(storage);
+    try {
+      const saved = JSON.parse(storage?.getItem(STORAGE_KEY) || 'null');
+      if (saved && typeof saved === 'object'){
+        for (const k of Object.keys(SETTINGS)){
+          const v = coerce(k, saved[k]);
+          if (v !== undefined) out[k] = v;
+        }
+      }
+    } catch {}
+    return out;
+  }
+  function saveSettings(values, storage = globalThis.localStorage){
+    try { storage?.setItem(STORAGE_KEY, JSON.stringify(values)); return true; }
+    catch { return false; }
+  }
+  // ?difficulty=hard&bestOf=5&stage=rooftop&volume=0.4&muted=1&reducedMotion=on&autoPause=off
+  // Parameters are named after the settings (volume is master); unknown names and bad values are ignored.
+  function parseOverrides(search = ''){
+    const out = {};
+    for (const [name, raw] of new URLSearchParams(search)){
+      const key = URL_ALIASES[name] || name;
+      const v = coerce(key, raw);
+      if (v !== undefined) out[key] = v;
+    }
+    return out;
+  }
+
+  // get(key) reads a setting; set(key, value) coerces, saves and tells the onChange listeners,
+  // returning false for unknown keys and values that don't fit. URL overrides hold for this
+  // visit only: they are never saved, and a setting the player changes stops being overridden.
+  function createSettings({ storage = globalThis.localStorage, search = globalThis.location?.search } = {}){
+    const saved = loadSettings(storage);
+    const overrides = parseOverrides(search);
+    const values = { ...saved, ...overrides };
+    const listeners = new Set();
+    return {
+      get values(){ return { ...values }; },
+      get(key){ return values[key]; },
+      overridden(key){ return key in overrides; },
+      set(key, raw){
+        const v = coerce(key, raw);
+        if (v === undefined) return false;
+        delete overrides[key];
+        saved[key] = v;
+        saveSettings(saved, storage);
+        if (values[key] === v) return true;
+        values[key] = v;
+        for (const fn of listeners) fn(key, v);
+        return true;
+      },
+      onChange(fn){ listeners.add(fn); return () => listeners.delete(fn); },
+    };
+  }
+
+  return { STORAGE_KEY, LEGACY_KEYS, SETTINGS, coerce, loadSettings, saveSettings, parseOverrides, createSettings };
+});
@@ -0,0 +1,773 @@
+// Deterministic fight simulation: fixed ticks, no DOM, no wall clock, seeded randomness
+(function(root, factory){
+  const node = typeof module === 'object' && module.exports;
+  const api = node
+    ? factory(require('./characters.js'), require('./ai.js'), require('./moves.js'), require('./states.js'))
+    : factory(root.Ledger.characters, root.Ledger.ai, root.Ledger.moves, root.Ledger.states);
+  if (node) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).sim = api;
+})(typeof self !== 'undefined' ? self : this, function(characters, ai, moves, states){
+  const { assertManifest, frameCountOf, DEFAULT_MOVES, METER_MAX } = characters;
+  const { STATES, allows, resolve } = states;
+
+  const TICK_HZ = 60;
+  const TICK_MS = 1000 / TICK_HZ;
+  const TILE = 80;
+  function clamp(v,a,b){ return Math.max(a, Math.min(b, v)); }
+
+  // mulberry32: tiny, fast and identical on every JS engine. state()/setState() save and rewind it.
+  function createRng(seed){
+    let a = seed >>> 0;
+    const next = () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.state = () => a;
+    next.setState = (s) => { a = s >>> 0; };
+    return next;
+  }
+
+  // Fixed-timestep driver: runs whole ticks for the time the clock says has passed and
+  // returns how far into the next tick we are (0..1) so rendering can interpolate.
+  const defaultClock = { now: () => (typeof performance !== 'undefined' ? performance.now() : Date.now()) };
+  function createFixedLoop({ onTick, clock = defaultClock, tickMs = TICK_MS, maxTicks = 5 }){
+    let last = clock.now(), acc = 0;
+    return {
+      advance(){
+        const now = clock.now();
+        acc += Math.max(0, Math.min(250, now - last)); last = now;
+        let n = 0;
+        while (acc >= tickMs && n < maxTicks){ onTick(); acc -= tickMs; n++; }
+        // Drop any backlog after a long stall instead of fast-forwarding through it
+        if (n === maxTicks) acc = Math.min(acc, tickMs - 1e-6);
+        return acc / tickMs;
+      },
+      reset(){ last = clock.now(); acc = 0; },
+    };
+  }
+
+  // Animation timing, per-frame collision data and frame events; frames advance in row-major sheet order
+  class Anim {
+    constructor({ frameCount=1, fps=8, loop=true, boxes=null, events=null } = {}){
+      this.frameCount = Math.max(1, frameCount);
+      this.fps = fps; this.loop = loop;
+      this.boxes = boxes; // optional per-frame collision data from the manifest
+      this.events = events; // optional { frameIndex: [{ sound } | { effect }] } from the manifest
+      this.index = 0; this.acc = 0; this.done = false;
+    }
+    reset(){ this.index = 0; this.acc = 0; this.done = false; }
+    snapshot(){ return [this.index, this.acc, this.done]; }
+    restore(s){ [this.index, this.acc, this.done] = s; }
+    total(){ return this.frameCount; }
+    frame(){ return Math.max(0, Math.min(this.total()-1, this.index|0)); }
+    // Active frames come from startup/active counts, else from frames that declare hitboxes.
+    // Returns null when there is no data so callers can fall back to the old heuristic.
+    isActiveFrame(i){
+      const b = this.boxes; if (!b) return null;
+      if (b.active !== undefined){
+        const start = b.startup || 0;
+        return i >= start && i < start + b.active;
+      }
+      const frames = b.frames || {};
+      if (!Object.values(frames).some(f => f.hit)) return null;
+      return !!frames[i]?.hit;
+    }
+    hitboxesAt(i){ return this.boxes?.frames?.[i]?.hit || this.boxes?.hit || null; }
+    hurtboxesAt(i){ return this.boxes?.frames?.[i]?.hurt || this.boxes?.hurt || null; }
+    eventsAt(i){ return this.events?.[i] || null; }
+    // Returns the frame indices entered this update, so no frame's events are skipped
+    update(dt){
+      const entered = [];
+      if (this.done) return entered;
+      const total = this.total(); if (total <= 1) return entered;
+      this.acc += dt; const step = 1000/this.fps;
+      while (this.acc >= step){
+        this.index++; this.acc -= step;
+        if (this.index >= total){
+          if (this.loop){ this.index = 0; }
+          else { this.index = total-1; this.done = true; break; }
+        }
+        entered.push(this.index);
+      }
+      return entered;
+    }
+  }
+
+  const isWalk = (name) => name === 'walk' || name === 'walkback';
+  // Fighter fields that change during a match; the rest comes from the manifest and stays put
+  const FIGHTER_STATE = [
+    'x', 'y', 'facing', 'scale', 'prevX', 'prevY', 'current', 'hp', 'hasHit', 'attackSeq', 'attackCooldown',
+    'guardMeter', 'blockstun', 'breakTimer', 'guardRegenIn', 'vx', 'vy', 'onGround', 'hitstun', 'dashMs', 'meter',
+  ];
+
+  // Fighter state, combat stats and collision; emits sound events instead of playing audio.
+  // State changes follow the table in js/states.js.
+  class Fighter {
+    constructor(x, y, facing=1){
+      this.x = x; this.y = y; this.facing = facing; this.scale = 4;
+      this.prevX = x; this.prevY = y; // position at the start of the tick, for render interpolation
+      this.tileW = TILE; this.tileH = TILE;
+      this.anim = new Map();
+      this.current = 'idle';
+      // Combat stats
+      this.maxHp = 100; this.hp = this.maxHp; this.damage = 10;
+      this.walkSpeed = 160; // px/s
+      // Collision boxes as ratios of the scaled frame size
+      this.boxes = {
+        hurtbox: { w: 0.45, h: 0.6 },
+        hitbox: { x: 0.1, y: 0.75, w: 0.5, h: 0.35 },
+      };
+      this.hasHit = false; // prevents multi-hit per attack
+      this.attackSeq = 0; // bumps on every attack start so the AI can react once per swing
+      this.attackCooldown = 0; // ms until the AI may start another attack (pushed out by taunt stuns)
+      // Guard: blocked hits chip HP and drain the meter; an empty meter breaks the guard
+      this.guard = { max: 100, chip: 0.2, cost: 2.5, stunMs: 250, breakMs: 1200, regenPerSec: 18, regenDelayMs: 800 };
+      this.guardMeter = this.guard.max;
+      this.blockstun = 0;    // ms left locked in block after absorbing a hit
+      this.breakTimer = 0;   // ms left dazed after a guard break
+      this.guardRegenIn = 0; // ms until the meter starts refilling
+      // Movement physics: velocities in px/s; y grows downward and the ground line is the floor
+      this.physics = { jumpSpeed: 900, gravity: 2600, friction: 2400, knockback: 280, blockPush: 160, hitstunMs: 240, push: 0.22, crouch: 0.7, dashSpeed: 640, dashMs: 180 };
+      this.vx = 0; this.vy = 0;
+      this.onGround = true;
+      this.hitstun = 0; // ms left reeling from a clean hit
+      this.dashMs = 0;  // ms left in a dash; walking doesn't override its speed meanwhile
+      // Moves: name -> { name, anim (sheet name), timing (own Anim), damage, meter, cancels, ... }
+      this.moves = new Map();
+      this.move = null;  // move being performed while current is 'attack'
+      this.meter = 0;    // special meter, 0..METER_MAX; kept across rounds
+      this.input = moves.createInputBuffer();
+      this.events = []; // drained by the match after every tick
+    }
+    static fromManifest(manifest, x, y, facing=1){
+      const m = assertManifest(manifest);
+      const f = new Fighter(x, y, facing);
+      f.id = m.id; f.name = m.name || m.id;
+      f.tileW = m.tile?.w || TILE; f.tileH = m.tile?.h || TILE;
+      for (const [name, a] of Object.entries(m.animations)){
+        f.add(name, new Anim({ frameCount: frameCountOf(a), fps: a.fps || 8, loop: a.loop ?? true, boxes: a.boxes || null, events: a.events || null }));
+      }
+      const stats = m.stats || {};
+      if (stats.maxHp) f.maxHp = stats.maxHp;
+      if (stats.damage) f.damage = stats.damage;
+      if (stats.walkSpeed) f.walkSpeed = stats.walkSpeed;
+      f.hp = f.maxHp;
+      if (m.boxes?.hurtbox) Object.assign(f.boxes.hurtbox, m.boxes.hurtbox);
+      if (m.boxes?.hitbox) Object.assign(f.boxes.hitbox, m.boxes.hitbox);
+      if (m.guard) Object.assign(f.guard, m.guard);
+      if (m.physics) Object.assign(f.physics, m.physics);
+      // Each move times its sheet on its own Anim, so a move can run the shared attack sheet faster
+      for (const [name, def] of Object.entries(m.moves || DEFAULT_MOVES)){
+        const base = f.anim.get(def.anim);
+        f.moves.set(name, {
+          ...def, name, label: def.name || name,
+          damage: def.damage ?? f.damage, meter: def.meter || 0, gain: def.gain ?? (def.meter ? 0 : 8),
+          cancels: def.cancels || [],
+          timing: new Anim({ frameCount: base.frameCount, fps: def.fps || base.fps, loop: false, boxes: base.boxes, events: base.events }),
+        });
+      }
+      f.resetGuard();
+      return f;
+    }
+    add(name, animation){ this.anim.set(name, animation); }
+    // Plain-data copy of everything that changes during a match, for rollback
+    snapshot(){
+      const s = {};
+      for (const k of FIGHTER_STATE) s[k] = this[k];
+      s.move = this.move?.name ?? null;
+      s.anims = [...this.anim.values()].map(a => a.snapshot());
+      s.timings = [...this.moves.values()].map(mv => mv.timing.snapshot());
+      s.input = this.input.snapshot();
+      return s;
+    }
+    restore(s){
+      for (const k of FIGHTER_STATE) this[k] = s[k];
+      this.move = s.move === null ? null : this.moves.get(s.move);
+      [...this.anim.values()].forEach((a, i) => a.restore(s.anims[i]));
+      [...this.moves.values()].forEach((mv, i) => mv.timing.restore(s.timings[i]));
+      this.input.restore(s.input);
+      this.events.length = 0;
+    }
+    emit(type, data){ this.events.push({ type, ...data }); }
+    sound(name, action='play'){ this.emit('sound', { name, action }); }
+    // Name of the animation the current state shows; states without a sheet borrow one
+    animName(){
+      const list = this.current === 'attack' && this.move ? [this.move.anim] : STATES[this.current].anims || [this.current];
+      return list.find(n => this.anim.has(n)) || 'idle';
+    }
+    currentAnim(){ return this.current === 'attack' && this.move ? this.move.timing : this.anim.get(this.animName()); }
+    get state(){ return STATES[this.current]; }
+    get stunned(){ return this.current === 'stunned'; } // taunted: AI/input cannot change state
+    isGuarding(){ return !!this.state.guarding; }
+    isLocked(){ return !!this.state.lock?.(this); }
+    // Ask for a state change; refused (false) when the current state doesn't allow it.
+    // restart re-enters the current state from the top (a move chained into another).
+    set(name, restart=false){
+      if (!STATES[name] || (this.current === name && !restart)) return false;
+      if (!allows(this.state, name, this.isLocked())) return false;
+      this.enter(name);
+      return true;
+    }
+    // Change state without asking (round flow, and a state's own release/onDone/land exits)
+    enter(name){
+      const from = this.state, to = STATES[name];
+      from.exit?.(this, name);
+      const prev = this.current;
+      this.current = name;
+      // Reset all animations when switching
+      for (const a of this.anim.values()) a.reset();
+      if (name === 'attack') this.move ||= this.moves.get('attack') || this.moves.values().next().value;
+      // A looping sound carries over between states that share it (walk -> walkback)
+      if (from.loopSound !== to.loopSound){
+        if (from.loopSound) this.sound(from.loopSound, 'stop');
+        if (to.loopSound) this.sound(to.loopSound);
+      }
+      to.enter?.(this, prev);
+      const snd = resolve(to.sound, this);
+      if (snd) this.sound(snd);
+      this.frameEvents(this.currentAnim(), [0]);
+    }
+    // Sounds and effects the manifest pins to animation frames
+    frameEvents(a, frames){
+      for (const i of frames){
+        for (const ev of a?.eventsAt(i) || []){
+          if (ev.sound) this.sound(ev.sound);
+          if (ev.effect) this.emit('effect', { name: ev.effect, frame: i, x: this.x, y: this.y, facing: this.facing });
+        }
+      }
+    }
+    // Clear stun/guard timers so round flow (countdown, KO) can take over
+    clearLocks(){
+      this.blockstun = 0; this.breakTimer = 0; this.hitstun = 0; this.dashMs = 0;
+    }
+    // A move that has connected (hit or blocked) can be cancelled into its listed moves, inside its
+    // cancelFrames if it has them
+    canCancel(){
+      const mv = this.move;
+      if (this.current !== 'attack' || !mv || !this.hasHit || !mv.cancels.length) return false;
+      if (!mv.cancelFrames) return true;
+      const i = mv.timing.frame();
+      return i >= mv.cancelFrames[0] && i <= mv.cancelFrames[1];
+    }
+    // The move the buffered input asks for, or null. Motions are checked before plain presses, and
+    // while attacking only the current move's cancels are candidates.
+    nextMove(){
+      if (!this.input.pressed('attack')) return null;
+      const pool = this.current === 'attack'
+        ? (this.canCancel() ? this.move.cancels.map(n => this.moves.get(n)) : [])
+        : [...this.moves.values()].filter(mv => !mv.chainOnly);
+      const usable = pool.filter(mv => mv && (this.onGround || mv.air) && this.meter >= mv.meter);
+      return usable.find(mv => mv.motion && this.input.motion(mv.motion)) || usable.find(mv => !mv.motion) || null;
+    }
+    startMove(mv){
+      const chained = this.current === 'attack';
+      const prev = this.move;
+      this.move = mv;
+      if (!this.set('attack', chained)){ this.move = prev; return false; }
+      this.meter -= mv.meter;
+      this.input.consume();
+      this.emit('move', { move: mv.name, chained });
+      return true;
+    }
+    // Short burst along the ground; dir 1 is forward
+    dash(dir){
+      this.vx = dir * this.facing * this.physics.dashSpeed;
+      this.dashMs = this.physics.dashMs;
+      this.set(dir > 0 ? 'walk' : 'walkback');
+      this.emit('effect', { name: 'dust', x: this.x, y: this.y, facing: -dir * this.facing });
+      this.input.consume();
+    }
+    gainMeter(n){ this.meter = clamp(this.meter + n, 0, METER_MAX); }
+    // Back on the floor, standing still (round starts and world changes)
+    plant(groundY){
+      this.y = this.prevY = groundY;
+      this.vx = 0; this.vy = 0; this.onGround = true;
+    }
+    // Leave the ground; the horizontal speed at take-off is kept for the whole arc
+    jump(dir){
+      if (!this.onGround) return;
+      this.onGround = false;
+      this.vy = -this.physics.jumpSpeed;
+      this.vx = dir * this.walkSpeed;
+      this.set('jump');
+    }
+    // Gravity, velocity and ground friction for one tick. Landing ends a jump.
+    physicsStep(dt, groundY){
+      const s = dt / 1000, p = this.physics;
+      if (!this.onGround) this.vy += p.gravity * s;
+      this.x += this.vx * s;
+      this.y += this.vy * s;
+      if (this.y >= groundY){
+        this.y = groundY;
+        if (!this.onGround){
+          this.onGround = true; this.vy = 0; this.vx = 0;
+          this.emit('effect', { name: 'dust', x: this.x, y: this.y, facing: this.facing });
+          if (this.state.land) this.enter(resolve(this.state.land, this));
+        }
+      }
+      if (this.onGround) this.vx = Math.sign(this.vx) * Math.max(0, Math.abs(this.vx) - p.friction * s);
+    }
+    // Knockback away from the attacker; a clean hit also puts the fighter in hitstun. The
+    // attacker's move can override the knockback and hitstun this fighter's physics would give.
+    reactToHit(result, attacker){
+      const p = this.physics, mv = attacker.move;
+      const away = Math.sign(this.x - attacker.x) || attacker.facing;
+      this.dashMs = 0;
+      if (result !== 'hit'){ this.vx = away * p.blockPush; return; }
+      this.vx = away * (mv?.knockback ?? p.knockback);
+      const hitstunMs = mv?.hitstunMs ?? p.hitstunMs;
+      if (!this.onGround) this.vy = Math.min(this.vy, -p.jumpSpeed * 0.35); // pop airborne fighters up a little
+      if (!hitstunMs || this.isAttackActive()) return; // a swing already out still lands: both hits trade
+      this.blockstun = 0;
+      // Taunt stun and guard break keep their own lock; the state table refuses the hitstun then
+      if (this.set('hitstun') || this.current === 'hitstun') this.hitstun = hitstunMs;
+    }
+    resetGuard(){ this.guardMeter = this.guard.max; this.guardRegenIn = 0; }
+    updateGuard(dt){
+      if (this.blockstun > 0) this.blockstun = Math.max(0, this.blockstun - dt);
+      if (this.breakTimer > 0){ this.breakTimer = Math.max(0, this.breakTimer - dt); return; }
+      if (this.current === 'block'){ this.guardRegenIn = this.guard.regenDelayMs; return; }
+      if (this.guardRegenIn > 0){ this.guardRegenIn -= dt; return; }
+      this.guardMeter = Math.min(this.guard.max, this.guardMeter + this.guard.regenPerSec*dt/1000);
+    }
+    update(dt){
+      if (this.attackCooldown > 0) this.attackCooldown = Math.max(0, this.attackCooldown - dt);
+      this.updateGuard(dt);
+      if (this.dashMs > 0) this.dashMs = Math.max(0, this.dashMs - dt);
+      if (this.hitstun > 0) this.hitstun = Math.max(0, this.hitstun - dt);
+      // A lock that has run out hands over to the state's release state
+      const st = this.state;
+      if (st.release && !this.isLocked()) this.enter(resolve(st.release, this));
+      const a = this.currentAnim(); if (!a) return;
+      this.frameEvents(a, a.update(dt));
+      if (a.done && this.state.onDone) this.enter(resolve(this.state.onDone, this));
+    }
+    // Rect helpers (world space)
+    getFrameSize(){
+      return { fw: this.tileW * this.scale, fh: this.tileH * this.scale };
+    }
+    // Box ratios -> world rect. x is the forward offset of the box's back edge from the
+    // fighter's centre (default: centred), y the top edge measured up from the feet.
+    boxToWorld(b){
+      const { fw, fh } = this.getFrameSize();
+      const w = fw * b.w, h = fh * b.h;
+      const near = fw * (b.x ?? -b.w/2);
+      const x = this.facing === 1 ? this.x + near : this.x - near - w;
+      return { x, y: this.y - fh * (b.y ?? b.h), w, h };
+    }
+    getHurtboxes(){
+      const a = this.currentAnim();
+      let boxes = (a && a.hurtboxesAt(a.frame())) || [this.boxes.hurtbox];
+      // Without a crouch sheet of its own, crouching squashes the borrowed boxes toward the feet
+      if (this.current === 'crouch' && !this.anim.has('crouch')){
+        const c = this.physics.crouch;
+        boxes = boxes.map(b => ({ ...b, y: (b.y ?? b.h) * c, h: b.h * c }));
+      }
+      return boxes.map(b => this.boxToWorld(b));
+    }
+    // Body the other fighter can't walk into: centred, physics.push of the frame wide
+    getPushbox(){
+      const { fw, fh } = this.getFrameSize();
+      const w = fw * this.physics.push, h = fh * 0.55 * (this.current === 'crouch' ? this.physics.crouch : 1);
+      return { x: this.x - w/2, y: this.y - h, w, h };
+    }
+    isAttackActive(){
+      if (!this.state.attacking) return false;
+      const a = this.currentAnim();
+      return !!a && this.isActiveAt(a.frame());
+    }
+    // Whether frame i of the current attack animation can hit
+    isActiveAt(i){
+      const a = this.currentAnim(); if (!a) return false;
+      const total = a.total(); if (total <= 1) return false;
+      const active = a.isActiveFrame(i);
+      if (active !== null) return active;
+      // No frame data: treat the middle 30%-70% of the animation as active
+      const start = Math.floor(total * 0.3);
+      const end   = Math.ceil(total * 0.7);
+      return i >= start && i <= end;
+    }
+    getHitboxes(){
+      if (!this.isAttackActive()) return [];
+      const a = this.currentAnim();
+      const boxes = a.hitboxesAt(a.frame()) || [this.boxes.hitbox];
+      return boxes.map(b => this.boxToWorld(b));
+    }
+    takeDamage(dmg){ this.hp = Math.max(0, this.hp - (dmg|0)); }
+    // Apply an incoming hit; returns 'hit', 'blocked' or 'guardbreak'. Only blocks facing the attacker.
+    receiveHit(dmg, attacker){
+      const facingAttacker = !attacker || Math.sign(attacker.x - this.x) !== -this.facing;
+      if (this.current !== 'block' || !facingAttacker){ this.takeDamage(dmg); return 'hit'; }
+      const g = this.guard;
+      this.takeDamage(Math.max(1, Math.round(dmg * g.chip)));
+      this.guardMeter -= dmg * g.cost;
+      this.guardRegenIn = g.regenDelayMs;
+      if (this.guardMeter <= 0){
+        this.guardMeter = 0; this.blockstun = 0;
+        this.breakTimer = g.breakMs;
+        this.enter('guardbreak');
+        return 'guardbreak';
+      }
+      this.blockstun = g.stunMs;
+      return 'blocked';
+    }
+    // Force a stun that plays the taunt animation once
+    forceTauntStun(){
+      if (this.anim.has('taunt')) this.set('stunned');
+    }
+  }
+
+  // Collision helpers
+  function intersects(a,b){ return a && b && a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y; }
+  function anyIntersect(as, bs){ return as.some(a => bs.some(b => intersects(a, b))); }
+  // Centre of the first overlap between two box lists (where a hit lands), or null
+  function contactPoint(as, bs){
+    for (const a of as) for (const b of bs){
+      if (!intersects(a, b)) continue;
+      const x0 = Math.max(a.x, b.x), x1 = Math.min(a.x + a.w, b.x + b.w);
+      const y0 = Math.max(a.y, b.y), y1 = Math.min(a.y + a.h, b.y + b.h);
+      return { x: (x0 + x1) / 2, y: (y0 + y1) / 2 };
+    }
+    return null;
+  }
+
+  const COUNTDOWN_MS = 3000;
+  const READY_MS = 1400; // 700ms READY + 700ms FIGHT!
+  const KO_MS = 3000;    // KO/time-out banner before the next round or the results
+  const BEST_OF = 3;
+  const ROUND_SECONDS = 60;
+  // Each further hit in a combo does COMBO_DECAY less of its damage, down to COMBO_MIN_SCALE
+  const COMBO_DECAY = 0.1;
+  const COMBO_MIN_SCALE = 0.5;
+  const METER_TAKEN = 6; // meter gained for being hit cleanly
+  const TRAINING_HP = ['infinite', 'refill'];
+  const REFILL_TICKS = 60; // training 'refill': a second left alone before HP comes back
+  const newStats = () => ({ damage: 0, hits: 0, blocked: 0, taunts: 0, maxCombo: 0 });
+  const newCombo = () => ({ hits: 0, damage: 0, scale: 1, live: false, endTick: 0 });
+  // Match fields that change during play (snapshot/restore copy these, plus the fighters, world, RNG and AI)
+  const MATCH_STATE = ['tick', 'phase', 'round', 'wins', 'koWinner', 'koReason', 'matchWinner', 'stats', 'combos', 'hurtTick', 'countdownMs', 'readyMs', 'roundMs', 'koMs'];
+  const NO_INPUT = Object.freeze({ left: false, right: false, up: false, down: false, attack: false, taunt: false, block: false });
+
+  function applyTuning(f, t){
+    if (!t) return;
+    if (t.hp > 0){ f.maxHp = Math.max(1, Math.round(f.maxHp * t.hp)); f.hp = f.maxHp; }
+    if (t.damage > 0){
+      f.damage = Math.max(1, Math.round(f.damage * t.damage));
+      for (const mv of f.moves.values()) mv.damage = Math.max(1, Math.round(mv.damage * t.damage));
+    }
+  }
+
+  // A match between the player (p1, always human) and the enemy (AI, or p2 in versus).
+  // config: { player, enemy: manifests, seed, world: { width, groundY, scale, left, right }, p2Human, ai }
+  // world.left/right are the arena walls (40px in from each edge when not given).
+  // ai is a preset name ('easy' | 'normal' | 'hard'; the only form replays can store) or any
+  // object with decide(self, opp, match) returning a pad.
+  // tuning: { player, enemy: { hp, damage } } scales a side's HP and the damage of all its moves
+  // (1 = as its manifest says); the arcade ladder uses it to toughen each opponent.
+  // training: { hp: 'infinite' | 'refill' } makes a practice match: nobody is knocked out, and
+  // HP tops up after every hit ('infinite') or once a side has been left alone a second ('refill').
+  // step(inputs) advances exactly one tick. inputs: { p1, p2: { left, right, up, down, attack, taunt, block }, start, restart }
+  function createMatch(config){
+    const world = { width: 960, groundY: 480, scale: 4, ...config.world };
+    world.left ??= 40; world.right ??= world.width - 40;
+    const seed = (config.seed ?? 1) >>> 0;
+    const rng = createRng(seed);
+    const player = Fighter.fromManifest(config.player, world.width*0.33, world.groundY, 1);
+    const enemy  = Fighter.fromManifest(config.enemy, world.width*0.67, world.groundY, -1);
+    applyTuning(player, config.tuning?.player); applyTuning(enemy, config.tuning?.enemy);
+    const p2Human = !!config.p2Human; // local versus: inputs.p2 drives the enemy and the AI is skipped
+    const controller = p2Human ? null : typeof config.ai?.decide === 'function' ? config.ai : ai.createController(config.ai || 'normal');
+    // Best-of-N: first to ceil(N/2) round wins takes the match. roundSeconds 0 turns the clock off.
+    const bestOf = Math.max(1, (config.bestOf ?? BEST_OF) | 0);
+    const roundMsMax = Math.max(0, config.roundSeconds ?? ROUND_SECONDS) * 1000;
+    const training = config.training ? { hp: TRAINING_HP.includes(config.training.hp) ? config.training.hp : 'infinite' } : null;
+    const m = {
+      seed, world, player, enemy, rng, p2Human, ai: controller, training,
+      bestOf, winsNeeded: Math.ceil(bestOf / 2), roundMsMax,
+      tick: 0,
+      phase: 'intro', // 'intro' | 'countdown' | 'ready' | 'fight' | 'ko' | 'over'
+      round: 1,
+      wins: { player: 0, enemy: 0 },
+      koWinner: null,    // round winner: 'player' | 'enemy' | null (null after a drawn time-out)
+      koReason: null,    // 'ko' | 'time'
+      matchWinner: null, // set when a side reaches winsNeeded
+      stats: { player: newStats(), enemy: newStats() }, // whole-match totals for the results screen
+      // Current combo per attacking side: live while the defender stays in hitstun
+      combos: { player: newCombo(), enemy: newCombo() },
+      hurtTick: { player: 0, enemy: 0 }, // tick each side last lost HP
+      countdownMs: 0, // time left in the pre-round countdown
+      readyMs: 0,     // time left in the READY/FIGHT interstitial
+      roundMs: roundMsMax, // round clock; counts down during 'fight'
+      koMs: 0,        // time left on the KO banner
+      events: [],
+    };
+    function emit(type, data){ m.events.push({ type, tick: m.tick, ...data }); }
+    function applyScale(){ player.scale = enemy.scale = world.scale; }
+    applyScale();
+
+    function setPhase(phase){ m.phase = phase; emit('phase', { phase, round: m.round }); }
+    function startCountdown(){
+      setPhase('countdown');
+      m.koWinner = null; m.koReason = null;
+      m.countdownMs = COUNTDOWN_MS;
+      m.roundMs = roundMsMax;
+      // Hard stop movement and loops
+      player.clearLocks(); enemy.clearLocks();
+      player.enter('idle'); enemy.enter('idle');
+      player.input.clear(); enemy.input.clear();
+      m.combos = { player: newCombo(), enemy: newCombo() };
+    }
+    // winner is null for a drawn time-out, which counts for neither side
+    function endRound(winner, reason='ko'){
+      if (m.phase !== 'fight') return;
+      setPhase('ko');
+      m.koWinner = winner; m.koReason = reason;
+      m.koMs = KO_MS;
+      if (winner) m.wins[winner]++;
+      emit('ko', { winner, reason, wins: { ...m.wins }, round: m.round });
+      if (winner && m.wins[winner] >= m.winsNeeded) m.matchWinner = winner;
+      // Clear any stun locks so KO animations can take over
+      player.clearLocks(); enemy.clearLocks();
+      for (const f of [player, enemy]){
+        // Celebrate: the winner taunts if it can; the loser only gives up when knocked out
+        if (winner && f === (winner === 'player' ? player : enemy)) f.enter('win');
+        else f.enter(reason === 'ko' && f.hp <= 0 && f.anim.has('giveup') ? 'giveup' : 'idle');
+      }
+    }
+    // Time-out: the higher remaining HP percentage takes the round
+    function timeOut(){
+      const pp = player.hp / player.maxHp, ep = enemy.hp / enemy.maxHp;
+      endRound(pp > ep ? 'player' : ep > pp ? 'enemy' : null, 'time');
+    }
+    // After the KO banner: the next round, or the results once the match is decided
+    function afterKo(){
+      if (!m.matchWinner){ resetRound(); return; }
+      setPhase('over');
+      emit('matchEnd', { winner: m.matchWinner, wins: { ...m.wins }, rounds: m.round, stats: JSON.parse(JSON.stringify(m.stats)) });
+    }
+    function rematch(){
+      m.round = 0;
+      m.wins = { player: 0, enemy: 0 };
+      m.matchWinner = null;
+      m.stats = { player: newStats(), enemy: newStats() };
+      player.meter = enemy.meter = 0;
+      resetRound();
+    }
+    function resetRound(){
+      m.round += 1;
+      // Reset HP and positions
+      for (const f of [player, enemy]){ f.hp = f.maxHp; f.resetGuard(); f.clearLocks(); }
+      player.x = world.width*0.33; enemy.x = world.width*0.67;
+      player.prevX = player.x; enemy.prevX = enemy.x;
+      player.plant(world.groundY); enemy.plant(world.groundY);
+      player.facing = 1; enemy.facing = -1;
+      startCountdown();
+    }
+
+    // Start whatever move the buffered input asks for
+    function tryMove(f){
+      const mv = f.nextMove();
+      return !!mv && f.startMove(mv);
+    }
+    // A human-controlled fighter; the same rules apply to both sides in versus. Every tick goes into
+    // the fighter's input buffer first, so presses and motions made during locks still count.
+    function handleInput(f, opp, input, dt){
+      f.input.push(input, f.facing);
+      if (m.phase !== 'fight' || f.stunned || f.hitstun > 0) return;
+      // In the air the arc is committed; only attacks come out
+      if (!f.onGround){ tryMove(f); return; }
+      // Hold block to guard; guard locks out moving and attacking
+      if (input.block){
+        f.set('block');
+      } else if (f.current === 'block'){
+        f.set('idle'); // held in place until block-stun wears off
+      }
+      if (f.isGuarding()){ f.vx = 0; return; }
+      const dir = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+      const busy = !!f.state.busy;
+      if (tryMove(f)) return;
+      if (input.up && !busy){ f.jump(dir); return; }
+      // Double-tap forward or back to dash
+      if (!busy && f.current !== 'crouch' && f.dashMs <= 0){
+        if (f.input.motion('dashf')){ f.dash(1); return; }
+        if (f.input.motion('dashb')){ f.dash(-1); return; }
+      }
+      if (f.dashMs > 0) return;
+      // Hold down to crouch: lower hurtbox, no walking
+      if (input.down && !busy) f.set('crouch');
+      else if (f.current === 'crouch') f.set('idle');
+      if (f.current === 'crouch'){
+        f.vx = 0;
+      } else {
+        // Facing follows the opponent, so moving away is walking backwards
+        f.vx = dir * f.walkSpeed;
+        const walk = dir * f.facing > 0 ? 'walk' : 'walkback';
+        if (dir && (f.current === 'idle' || isWalk(f.current))) f.set(walk);
+        else if (!dir && isWalk(f.current)) f.set('idle');
+      }
+      // Starting a taunt stuns the opponent with their own taunt animation
+      if (input.taunt && f.set('taunt')){
+        m.stats[f === player ? 'player' : 'enemy'].taunts++;
+        opp.forceTauntStun();
+      }
+    }
+
+    const clampX = (x) => clamp(x, world.left, world.right);
+    // Grounded fighters turn to face each other unless mid-swing or reeling
+    function autoFace(f, opp){
+      if (!f.onGround || f.current === 'attack' || f.hitstun > 0 || f.breakTimer > 0) return;
+      if (opp.x !== f.x) f.facing = opp.x < f.x ? -1 : 1;
+    }
+    // Pushboxes: overlapping fighters are pushed apart on the sides they came from, so neither
+    // can walk into or through the other. Against a wall the free fighter takes the whole push.
+    function separate(){
+      const a = player.getPushbox(), b = enemy.getPushbox();
+      if (!(a.y < b.y + b.h && a.y + a.h > b.y)) return; // one is clear above the other
+      const minGap = (a.w + b.w) / 2;
+      const gap = Math.abs(enemy.x - player.x);
+      if (gap >= minGap) return;
+      const side = Math.sign(enemy.x - player.x) || Math.sign(enemy.prevX - player.prevX) || enemy.facing * -1 || 1;
+      const half = (minGap - gap) / 2;
+      player.x = clampX(player.x - side*half);
+      enemy.x = clampX(enemy.x + side*half);
+      const left = minGap - Math.abs(enemy.x - player.x);
+      if (left <= 0) return;
+      if (clampX(enemy.x + side*left) === enemy.x + side*left) enemy.x += side*left;
+      else player.x = clampX(player.x - side*left);
+    }
+
+    function step(inputs = {}){
+      const dt = TICK_MS;
+      m.tick++;
+      for (const f of [player, enemy]){ f.prevX = f.x; f.prevY = f.y; }
+      if (inputs.start && m.phase === 'intro') startCountdown();
+      // restart skips the KO banner, or starts a rematch from the results
+      if (inputs.restart && m.phase === 'ko') afterKo();
+      else if (inputs.restart && m.phase === 'over') rematch();
+      handleInput(player, enemy, inputs.p1 || NO_INPUT, dt);
+      // The AI answers with a pad, so both sides go through the same input rules
+      const p2 = p2Human ? inputs.p2 : controller.decide(enemy, player, m);
+      handleInput(enemy, player, p2 || NO_INPUT, dt);
+      for (const f of [player, enemy]){ f.physicsStep(dt, world.groundY); f.x = clampX(f.x); }
+      separate();
+      autoFace(player, enemy); autoFace(enemy, player);
+      // Countdown: stay idle and locked until time passes, then a short READY phase
+      if (m.phase === 'countdown'){
+        m.countdownMs -= dt;
+        if (m.countdownMs <= 0){
+          setPhase('ready');
+          m.readyMs = READY_MS;
+          player.enter('idle'); enemy.enter('idle');
+        }
+      } else if (m.phase === 'ready'){
+        m.readyMs -= dt;
+        if (m.readyMs <= 0) setPhase('fight');
+      } else if (m.phase === 'ko'){
+        m.koMs -= dt;
+        if (m.koMs <= 0) afterKo();
+      }
+
+      player.update(dt); enemy.update(dt);
+      if (m.phase === 'fight'){
+        // Combat: each side's active hitboxes against the other's hurtboxes, once per swing
+        for (const [atk, def] of [[player, enemy], [enemy, player]]){
+          const at = atk.hasHit ? null : contactPoint(atk.getHitboxes(), def.getHurtboxes());
+          if (at){
+            const attacker = atk === player ? 'player' : 'enemy';
+            // A hit landing while the defender still reels from the last one extends the combo
+            const combo = m.combos[attacker];
+            const chained = combo.live && def.hitstun > 0;
+            const scale = chained ? Math.max(COMBO_MIN_SCALE, 1 - COMBO_DECAY * combo.hits) : 1;
+            const hpBefore = def.hp;
+            const result = def.receiveHit(Math.max(1, Math.round(atk.move.damage * scale)), atk);
+            atk.hasHit = true;
+            const dealt = hpBefore - def.hp;
+            if (dealt > 0) m.hurtTick[attacker === 'player' ? 'enemy' : 'player'] = m.tick;
+            const st = m.stats[attacker];
+            st.damage += dealt;
+            if (result === 'hit') st.hits++; else st.blocked++;
+            def.reactToHit(result, atk);
+            atk.gainMeter(result === 'hit' ? atk.move.gain : atk.move.gain / 2);
+            if (result === 'hit') def.gainMeter(METER_TAKEN);
+            emit('hit', { attacker, result, move: atk.move.name, damage: dealt, x: at.x, y: at.y });
+            if (result === 'hit' && def.hitstun > 0){
+              if (!chained) Object.assign(combo, newCombo(), { live: true });
+              combo.hits++; combo.damage += dealt; combo.scale = scale;
+              st.maxCombo = Math.max(st.maxCombo, combo.hits);
+              if (combo.hits > 1) emit('combo', { attacker, hits: combo.hits, damage: combo.damage, scale });
+            }
+          }
+        }
+        // A combo ends once its defender is free to act again
+        for (const [side, def] of [['player', enemy], ['enemy', player]]){
+          const combo = m.combos[side];
+          if (combo.live && def.hitstun <= 0){ combo.live = false; combo.endTick = m.tick; }
+        }
+        // Training: HP comes back by the training setting and never reaches 0
+        if (training){
+          for (const [side, def] of [['player', enemy], ['enemy', player]]){
+            const who = side === 'player' ? 'enemy' : 'player';
+            const rested = !m.combos[side].live && m.tick - m.hurtTick[who] >= REFILL_TICKS;
+            if (training.hp === 'infinite' || rested) def.hp = def.maxHp;
+            def.hp = Math.max(1, def.hp);
+          }
+        }
+        if (enemy.hp <= 0){ endRound('player'); }
+        if (player.hp <= 0){ endRound('enemy'); }
+        // The clock only runs while fighting; a KO on the last tick beats the time-out
+        if (roundMsMax && m.phase === 'fight'){
+          m.roundMs = Math.max(0, m.roundMs - dt);
+          if (m.roundMs <= 0) timeOut();
+        }
+      }
+      for (const [who, f] of [['player', player], ['enemy', enemy]]){
+        for (const e of f.events) m.events.push({ ...e, who, tick: m.tick });
+        f.events.length = 0;
+      }
+      const out = m.events; m.events = [];
+      return out;
+    }
+
+    // Rollback: snapshot() copies the whole match state as plain data between ticks and restore()
+    // puts it back, so stepping again from there gives exactly the same ticks.
+    function snapshot(){
+      const s = { world: { ...world }, rng: rng.state(), player: player.snapshot(), enemy: enemy.snapshot() };
+      for (const k of MATCH_STATE) s[k] = JSON.parse(JSON.stringify(m[k]));
+      if (controller?.snapshot) s.ai = controller.snapshot();
+      return s;
+    }
+    function restore(s){
+      Object.assign(world, s.world); applyScale();
+      rng.setState(s.rng);
+      player.restore(s.player); enemy.restore(s.enemy);
+      for (const k of MATCH_STATE) m[k] = JSON.parse(JSON.stringify(s[k]));
+      if (s.ai) controller.restore(s.ai);
+      m.events = [];
+    }
+    // 32-bit FNV-1a over the state two peers must agree on; positions to 1/1000 px
+    function checksum(){
+      let h = 0x811c9dc5;
+      const mix = (v) => {
+        const str = typeof v === 'number' ? String(Math.round(v * 1000)) : String(v);
+        for (let i = 0; i < str.length; i++){ h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+        h ^= 0x7c; h = Math.imul(h, 0x01000193);
+      };
+      for (const v of [m.tick, m.phase, m.round, m.wins.player, m.wins.enemy, m.roundMs, rng.state()]) mix(v);
+      for (const f of [player, enemy]){
+        for (const v of [f.x, f.y, f.vx, f.vy, f.facing, f.current, f.move?.name, f.hp, f.meter, f.guardMeter, f.hitstun, f.blockstun, f.currentAnim()?.index]) mix(v);
+      }
+      return h >>> 0;
+    }
+
+    m.step = step;
+    m.snapshot = snapshot;
+    m.restore = restore;
+    m.checksum = checksum;
+    return m;
+  }
+
+  return { TICK_HZ, TICK_MS, COUNTDOWN_MS, READY_MS, KO_MS, BEST_OF, ROUND_SECONDS, COMBO_DECAY, COMBO_MIN_SCALE, TRAINING_HP, createRng, createFixedLoop, createMatch, Fighter, Anim, intersects, anyIntersect, contactPoint };
+});
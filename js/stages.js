@@ -0,0 +1,242 @@
+// Stage definitions: arena size and walls, parallax backdrop layers, animated props and music, plus validation
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).stages = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  const IMAGE_EXT = /\.(png|webp|gif|jpe?g)$/i;
+  const AUDIO_EXT = /\.(wav|mp3|ogg)$/i;
+  const COLOR = /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+  const FIGHTER_SCALE = 4; // fighters are drawn at 4x on every stage
+  const MUSIC_SYNTHS = ['fight', 'office', 'exchange', 'rooftop']; // generated tunes in js/audio.js
+
+  // Built-in arenas. Plain JSON (no functions), like the character manifests.
+  // Coordinates are world pixels: x from the stage's left edge, y down from the top, ground at groundY.
+  // Layers are drawn back to front behind the fighters. parallax is how far a layer moves with the
+  // camera (0 = fixed to the sky, 1 = moves with the ground). A layer is an image (src), flat shapes,
+  // or both (the shapes show until the image has loaded, or if it's missing). A shape's `repeat`
+  // stamps it count times, dx/dy apart, for rows of windows and the like. Props are layers that
+  // animate: a sprite sheet (src, tile, frameCount, fps), a sway back and forth, or a blink.
+  // The images live in spritesheets/Stages/<id>/ and are drawn from the same shapes they fall back to.
+  // music is a track's files (src), a generated tune (synth), or both (the tune plays if no file does).
+  const BUILTIN = {
+    office: {
+      id: 'office',
+      name: 'Back Office',
+      width: 1440, groundY: 480,
+      bounds: { left: 60, right: 1380 },
+      sky: ['#0b1220', '#16203a'],
+      ground: { color: '#0b1321', marks: '#1a2636' },
+      layers: [
+        { parallax: 0.25, src: 'spritesheets/Stages/office/skyline.png', x: 40, y: 90, shapes: [
+          { x: 40, y: 150, w: 300, h: 330, color: '#101a2c' },
+          { x: 380, y: 90, w: 240, h: 390, color: '#0f1829' },
+          { x: 660, y: 170, w: 360, h: 310, color: '#111b2e' },
+          { x: 1060, y: 120, w: 280, h: 360, color: '#0f1829' },
+          { x: 64, y: 174, w: 18, h: 12, color: '#1e3a5f', repeat: { count: 10, dx: 26 } },
+          { x: 404, y: 116, w: 16, h: 12, color: '#2b4a6f', repeat: { count: 8, dx: 26 } },
+          { x: 404, y: 156, w: 16, h: 12, color: '#1e3a5f', repeat: { count: 8, dx: 26 } },
+          { x: 686, y: 196, w: 20, h: 12, color: '#1e3a5f', repeat: { count: 12, dx: 28 } },
+          { x: 1086, y: 146, w: 16, h: 12, color: '#2b4a6f', repeat: { count: 9, dx: 28 } }
+        ] },
+        { parallax: 0.6, src: 'spritesheets/Stages/office/desks.png', x: 0, y: 318, shapes: [
+          { x: 0, y: 392, w: 1440, h: 88, color: '#131d30' },
+          { x: 40, y: 360, w: 220, h: 10, color: '#22324d', repeat: { count: 5, dx: 290 } },
+          { x: 60, y: 370, w: 12, h: 110, color: '#1a2740', repeat: { count: 5, dx: 290 } },
+          { x: 236, y: 370, w: 12, h: 110, color: '#1a2740', repeat: { count: 5, dx: 290 } },
+          { x: 120, y: 318, w: 64, h: 42, color: '#0a1120', repeat: { count: 5, dx: 290 } }
+        ] }
+      ],
+      props: [
+        // Monitors flickering on the desks
+        { parallax: 0.6, blink: { ms: 1700, duty: 0.85 }, shapes: [{ x: 126, y: 324, w: 52, h: 30, color: '#38bdf8', repeat: { count: 5, dx: 290 } }] },
+        { parallax: 0.6, blink: { ms: 900, duty: 0.5 }, shapes: [{ x: 176, y: 352, w: 4, h: 4, color: '#22c55e', repeat: { count: 5, dx: 290 } }] },
+        // A desk fan on the first desk
+        { parallax: 0.6, src: 'spritesheets/Stages/office/fan_4.png', tile: { w: 24, h: 24 }, frameCount: 4, fps: 12, x: 200, y: 336, shapes: [
+          { x: 203, y: 337, w: 18, h: 18, color: '#64748b', round: true },
+          { x: 207, y: 357, w: 10, h: 3, color: '#334155' }
+        ] }
+      ],
+      music: { synth: 'office' }
+    },
+    exchange: {
+      id: 'exchange',
+      name: 'Trading Floor',
+      width: 1600, groundY: 480,
+      bounds: { left: 80, right: 1520 },
+      sky: ['#0d1117', '#1b2230'],
+      ground: { color: '#111827', marks: '#273244' },
+      layers: [
+        { parallax: 0.3, src: 'spritesheets/Stages/exchange/board.png', x: 80, y: 60, shapes: [
+          { x: 80, y: 60, w: 1440, h: 180, color: '#0b1f17' },
+          { x: 100, y: 80, w: 60, h: 8, color: '#16a34a', repeat: { count: 20, dx: 70 } },
+          { x: 100, y: 110, w: 44, h: 8, color: '#dc2626', repeat: { count: 20, dx: 70 } },
+          { x: 100, y: 140, w: 52, h: 8, color: '#16a34a', repeat: { count: 20, dx: 70 } },
+          { x: 100, y: 170, w: 36, h: 8, color: '#15803d', repeat: { count: 20, dx: 70 } },
+          { x: 100, y: 200, w: 48, h: 8, color: '#b91c1c', repeat: { count: 20, dx: 70 } }
+        ] },
+        { parallax: 0.7, src: 'spritesheets/Stages/exchange/floor.png', x: 0, y: 372, shapes: [
+          { x: 0, y: 400, w: 1600, h: 80, color: '#161e2c' },
+          { x: 60, y: 372, w: 180, h: 28, color: '#1f2a3c', repeat: { count: 7, dx: 230 } }
+        ] }
+      ],
+      props: [
+        // The ticker tape drifts along the top of the board
+        { parallax: 0.3, sway: { x: 60, ms: 5000 }, shapes: [{ x: 80, y: 250, w: 24, h: 10, color: '#facc15', repeat: { count: 40, dx: 36 } }] },
+        { parallax: 0.7, blink: { ms: 1200, duty: 0.5 }, shapes: [{ x: 140, y: 380, w: 10, h: 10, color: '#ef4444', repeat: { count: 7, dx: 230 } }] },
+        // A price chart scrolling on the first desk's monitor
+        { parallax: 0.7, src: 'spritesheets/Stages/exchange/chart_6.png', tile: { w: 48, h: 32 }, frameCount: 6, fps: 4, x: 126, y: 340, shapes: [
+          { x: 126, y: 340, w: 48, h: 30, color: '#0a1120' },
+          { x: 128, y: 342, w: 44, h: 26, color: '#0b1f17' }
+        ] }
+      ],
+      music: { synth: 'exchange' }
+    },
+    rooftop: {
+      id: 'rooftop',
+      name: 'Rooftop',
+      width: 1280, groundY: 460,
+      bounds: { left: 90, right: 1190 },
+      sky: ['#1e1b4b', '#4c1d95'],
+      ground: { color: '#1f2937', marks: '#374151' },
+      layers: [
+        { parallax: 0.05, src: 'spritesheets/Stages/rooftop/moon.png', x: 900, y: 70, shapes: [{ x: 900, y: 70, w: 70, h: 70, color: '#fde68a', round: true }] },
+        { parallax: 0.3, src: 'spritesheets/Stages/rooftop/skyline.png', x: 0, y: 160, shapes: [
+          { x: 0, y: 250, w: 160, h: 210, color: '#1e1b3a' },
+          { x: 170, y: 190, w: 120, h: 270, color: '#221f44' },
+          { x: 300, y: 280, w: 200, h: 180, color: '#1e1b3a' },
+          { x: 520, y: 160, w: 140, h: 300, color: '#221f44' },
+          { x: 680, y: 240, w: 220, h: 220, color: '#1e1b3a' },
+          { x: 920, y: 200, w: 150, h: 260, color: '#221f44' },
+          { x: 1090, y: 270, w: 190, h: 190, color: '#1e1b3a' },
+          { x: 186, y: 210, w: 10, h: 10, color: '#fbbf24', repeat: { count: 4, dx: 26 } },
+          { x: 536, y: 180, w: 10, h: 10, color: '#fbbf24', repeat: { count: 4, dx: 32 } },
+          { x: 936, y: 220, w: 10, h: 10, color: '#f59e0b', repeat: { count: 4, dx: 34 } }
+        ] },
+        { parallax: 1, src: 'spritesheets/Stages/rooftop/ledges.png', x: 0, y: 430, shapes: [
+          { x: 0, y: 430, w: 90, h: 30, color: '#111827' },
+          { x: 1190, y: 430, w: 90, h: 30, color: '#111827' }
+        ] }
+      ],
+      props: [
+        { parallax: 0.12, sway: { x: 80, ms: 14000 }, shapes: [
+          { x: 120, y: 90, w: 180, h: 26, color: '#3b3486', round: true },
+          { x: 600, y: 60, w: 220, h: 30, color: '#3b3486', round: true }
+        ] },
+        // Aircraft warning light on the tallest tower
+        { parallax: 0.3, blink: { ms: 1400, duty: 0.3 }, shapes: [{ x: 584, y: 148, w: 12, h: 12, color: '#ef4444', round: true }] },
+        // A flag flying over the right-hand ledge
+        { parallax: 1, src: 'spritesheets/Stages/rooftop/flag_4.png', tile: { w: 32, h: 48 }, frameCount: 4, fps: 6, x: 1230, y: 382, shapes: [
+          { x: 1232, y: 382, w: 2, h: 48, color: '#9ca3af' },
+          { x: 1234, y: 386, w: 24, h: 15, color: '#22c55e' }
+        ] }
+      ],
+      music: { synth: 'rooftop' }
+    }
+  };
+  const STAGE_IDS = Object.keys(BUILTIN);
+  const DEFAULT_STAGE = 'office';
+
+  class StageError extends Error {
+    constructor(id, issues){
+      super(`Invalid stage "${id}":\n - ${issues.join('\n - ')}`);
+      this.name = 'StageError';
+      this.id = id;
+      this.issues = issues;
+    }
+  }
+
+  const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+  const isPos = (v) => isNum(v) && v > 0;
+  function checkPath(p, ext, where, issues){
+    if (typeof p !== 'string' || !p.trim()) { issues.push(`${where}: path must be a non-empty string`); return; }
+    if (p.includes('\\')) issues.push(`${where}: path "${p}" uses backslashes; use forward slashes`);
+    if (!ext.test(p)) issues.push(`${where}: path "${p}" has an unsupported file extension`);
+  }
+  function checkShapes(list, where, issues){
+    if (list === undefined) return;
+    if (!Array.isArray(list)) { issues.push(`${where}: must be an array of shapes`); return; }
+    list.forEach((sh, i) => {
+      const at = `${where}[${i}]`;
+      if (!isObj(sh)) { issues.push(`${at}: must be an object`); return; }
+      if (!isNum(sh.x) || !isNum(sh.y) || !isPos(sh.w) || !isPos(sh.h)) issues.push(`${at}: needs numeric x, y and positive w, h`);
+      if (typeof sh.color !== 'string' || !COLOR.test(sh.color)) issues.push(`${at}.color: must be a #hex colour`);
+      if (sh.round !== undefined && typeof sh.round !== 'boolean') issues.push(`${at}.round: must be true or false`);
+      if (sh.repeat !== undefined){
+        const r = sh.repeat;
+        if (!isObj(r) || !(Number.isInteger(r.count) && r.count >= 1) || (r.dx !== undefined && !isNum(r.dx)) || (r.dy !== undefined && !isNum(r.dy))) issues.push(`${at}.repeat: must be { count, dx, dy } with a whole count`);
+      }
+    });
+  }
+  // Layers and props share a shape; props may also animate
+  function checkLayer(l, where, prop, issues){
+    if (!isObj(l)) { issues.push(`${where}: must be an object`); return; }
+    if (l.src === undefined && l.shapes === undefined) issues.push(`${where}: needs an image (src) or shapes`);
+    if (l.src !== undefined) checkPath(l.src, IMAGE_EXT, `${where}.src`, issues);
+    checkShapes(l.shapes, `${where}.shapes`, issues);
+    if (l.parallax !== undefined && !(isNum(l.parallax) && l.parallax >= 0 && l.parallax <= 1)) issues.push(`${where}.parallax: must be between 0 and 1`);
+    for (const k of ['x', 'y']) if (l[k] !== undefined && !isNum(l[k])) issues.push(`${where}.${k}: must be a number`);
+    if (l.repeat !== undefined && typeof l.repeat !== 'boolean') issues.push(`${where}.repeat: must be true or false`);
+    if (!prop) return;
+    if (l.src !== undefined){
+      if (l.tile !== undefined && !(isObj(l.tile) && isPos(l.tile.w) && isPos(l.tile.h))) issues.push(`${where}.tile: must be { w, h } with positive sizes`);
+      if (l.frameCount !== undefined && !(Number.isInteger(l.frameCount) && l.frameCount >= 1)) issues.push(`${where}.frameCount: must be a whole number`);
+      if (l.fps !== undefined && !isPos(l.fps)) issues.push(`${where}.fps: must be a positive number`);
+    }
+    if (l.sway !== undefined && !(isObj(l.sway) && isPos(l.sway.ms) && (l.sway.x === undefined || isNum(l.sway.x)) && (l.sway.y === undefined || isNum(l.sway.y)))) issues.push(`${where}.sway: must be { x, y, ms } with a positive ms`);
+    if (l.blink !== undefined && !(isObj(l.blink) && isPos(l.blink.ms) && (l.blink.duty === undefined || (isNum(l.blink.duty) && l.blink.duty > 0 && l.blink.duty < 1)))) issues.push(`${where}.blink: must be { ms, duty } with duty between 0 and 1`);
+  }
+
+  // Returns a list of human-readable problems; empty means the stage is usable
+  function validateStage(s){
+    const issues = [];
+    if (!isObj(s)) return ['stage must be an object'];
+    if (typeof s.id !== 'string' || !/^[a-z0-9_-]+$/i.test(s.id)) issues.push('id: must be a simple identifier (letters, digits, _ or -)');
+    if (s.name !== undefined && typeof s.name !== 'string') issues.push('name: must be a string');
+    if (!isPos(s.width) || s.width < 400) issues.push('width: must be at least 400');
+    if (!isPos(s.groundY)) issues.push('groundY: must be a positive number');
+    if (s.bounds !== undefined){
+      const b = s.bounds;
+      if (!isObj(b) || !isNum(b.left) || !isNum(b.right)) issues.push('bounds: must be { left, right }');
+      else if (b.left < 0 || b.right > s.width || b.right - b.left < 300) issues.push('bounds: walls must be inside the stage and at least 300 apart');
+    }
+    if (s.sky !== undefined && !(Array.isArray(s.sky) && s.sky.length === 2 && s.sky.every(c => typeof c === 'string' && COLOR.test(c)))) issues.push('sky: must be [top, bottom] #hex colours');
+    if (s.ground !== undefined){
+      if (!isObj(s.ground)) issues.push('ground: must be an object');
+      else for (const k of ['color', 'marks']){
+        if (s.ground[k] !== undefined && !(typeof s.ground[k] === 'string' && COLOR.test(s.ground[k]))) issues.push(`ground.${k}: must be a #hex colour`);
+      }
+    }
+    for (const key of ['layers', 'props']){
+      if (s[key] === undefined) continue;
+      if (!Array.isArray(s[key])) { issues.push(`${key}: must be an array`); continue; }
+      s[key].forEach((l, i) => checkLayer(l, `${key}[${i}]`, key === 'props', issues));
+    }
+    if (s.music !== undefined){
+      const m = s.music;
+      if (!isObj(m)) issues.push('music: must be { src, synth }');
+      else {
+        const list = m.src === undefined ? [] : Array.isArray(m.src) ? m.src : [m.src];
+        if (!list.length && m.synth === undefined) issues.push('music: needs files (src) or a synth');
+        list.forEach((p, i) => checkPath(p, AUDIO_EXT, `music.src[${i}]`, issues));
+        if (m.synth !== undefined && !MUSIC_SYNTHS.includes(m.synth)) issues.push(`music.synth: must be one of ${MUSIC_SYNTHS.join(', ')}`);
+      }
+    }
+    return issues;
+  }
+  // Throws StageError listing every problem at once
+  function assertStage(s){
+    const issues = validateStage(s);
+    if (issues.length) throw new StageError(s && s.id || '?', issues);
+    return s;
+  }
+
+  // The part of a stage the simulation needs: its size, ground line and walls
+  function stageWorld(s){
+    const b = s.bounds || { left: 40, right: s.width - 40 };
+    return { width: s.width, groundY: s.groundY, scale: FIGHTER_SCALE, left: b.left, right: b.right };
+  }
+
+  return { BUILTIN, STAGE_IDS, DEFAULT_STAGE, StageError, validateStage, assertStage, stageWorld };
+});
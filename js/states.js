@@ -0,0 +1,66 @@
+// Fighter states: which states may follow which, what each one shows and sounds like, and how it ends
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).states = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  // What a hit or an opponent's taunt can force on a fighter, whatever it's doing
+  const HIT = ['hitstun', 'stunned'];
+
+  // Each state may declare:
+  //   anims      - sheets to show, first one the fighter has wins (default: its own name, then idle)
+  //   to         - states it may change to ('*' for any); other requests are refused
+  //   lock(f)    - true while the fighter is held in the state; only `interrupts` get through
+  //   release    - state to go to when the lock runs out (a name, or f => name)
+  //   onDone     - state to go to when a non-looping animation finishes
+  //   land       - state to go to on touching the ground
+  //   sound      - one-shot on entry (a name, or f => name); loopSound keeps playing while in
+  //                the state and carries over to the next state that shares it
+  //   enter(f, prev) / exit(f, next) hooks
+  //   busy, attacking, guarding - flags the input rules and combat read
+  // Frame events (sounds and effects on a given frame) come from the animations in the manifest.
+  const STATES = {
+    idle: { to: '*' },
+    walk: { loopSound: 'walk', to: '*' },
+    walkback: { anims: ['walkback', 'walk', 'idle'], loopSound: 'walk', to: '*' },
+    crouch: { to: '*' },
+    jump: { to: ['idle', 'attack', ...HIT], land: 'idle' },
+    attack: {
+      to: ['idle', 'jump', 'attack', ...HIT], busy: true, attacking: true,
+      sound: (f) => f.move.sound || 'attack',
+      onDone: (f) => f.onGround ? 'idle' : 'jump',
+      enter(f){ f.move.timing.reset(); f.hasHit = false; f.attackSeq++; },
+      exit(f, next){ if (next !== 'attack') f.move = null; },
+    },
+    taunt: { to: ['idle', ...HIT], busy: true, sound: 'taunt', onDone: 'idle' },
+    // Taunted by the opponent: plays this fighter's own taunt once and can't act meanwhile
+    stunned: {
+      anims: ['taunt', 'idle'], sound: 'taunt', busy: true,
+      lock: () => true, interrupts: [], onDone: 'idle',
+      enter(f){ f.hitstun = 0; f.hasHit = false; f.attackCooldown = 800; }, // push the next attack window out a bit
+    },
+    block: { to: ['idle', 'guardbreak', ...HIT], guarding: true, lock: (f) => f.blockstun > 0, interrupts: ['guardbreak', ...HIT] },
+    guardbreak: {
+      anims: ['idle'], to: ['idle', ...HIT], guarding: true,
+      lock: (f) => f.breakTimer > 0, interrupts: [], release: 'idle',
+      exit(f){ f.resetGuard(); },
+    },
+    hitstun: {
+      to: ['idle', 'jump', ...HIT], lock: (f) => f.hitstun > 0, interrupts: HIT,
+      release: (f) => f.onGround ? 'idle' : 'jump',
+    },
+    // Round end, entered by the match only
+    win: { anims: ['taunt', 'idle'], to: [], sound: (f) => f.anim.has('taunt') ? 'taunt' : null },
+    giveup: { to: [] },
+  };
+  const STATE_NAMES = Object.keys(STATES);
+
+  // May a fighter in `from` (held by its lock or not) change to `to`?
+  function allows(from, to, locked){
+    if (locked) return (from.interrupts || []).includes(to);
+    return from.to === '*' || (from.to || []).includes(to);
+  }
+  const resolve = (next, f) => typeof next === 'function' ? next(f) : next;
+
+  return { HIT, STATES, STATE_NAMES, allows, resolve };
+});
@@ -0,0 +1,103 @@
+// On-screen touch controls: a virtual stick and action buttons on pointer events, read like a keyboard pad
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).touch = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  const DIRECTIONS = ['left', 'right', 'up', 'down'];
+  const STICK_DEAD = 0.35; // fraction of the stick's radius that still counts as centred
+  const STICK_VERTICAL = 0.55; // up and down need a firmer push, so walking doesn't jump or crouch
+
+  // Stick offset from its centre (px) -> held directions
+  function stickDirections(dx, dy, radius){
+    const nx = dx / radius, ny = dy / radius;
+    return { left: nx <= -STICK_DEAD, right: nx >= STICK_DEAD, up: ny <= -STICK_VERTICAL, down: ny >= STICK_VERTICAL };
+  }
+
+  // el holds the controls: a [data-stick] area with a [data-knob] inside, and buttons with
+  // data-action="attack" | "taunt" | "block" | "start". Every pointer is tracked on its own, so the
+  // stick and buttons can be held together. A press shorter than a tick still counts: presses are
+  // latched until the next read(). Aborting `signal` removes the listeners.
+  function createTouchControls(el, { signal } = {}){
+    const held = new Map(); // pointerId -> action, for buttons
+    const latched = new Set();
+    let stickPointer = null;
+    let dirs = stickDirections(0, 0, 1);
+    let used = false; // set by the first touch; vibrate() stays quiet until then
+    const stickEl = el.querySelector('[data-stick]');
+    const knob = stickEl?.querySelector('[data-knob]');
+
+    function moveStick(e){
+      const r = stickEl.getBoundingClientRect();
+      const radius = Math.max(1, r.width / 2);
+      let dx = e.clientX - (r.left + r.width / 2), dy = e.clientY - (r.top + r.height / 2);
+      const len = Math.hypot(dx, dy);
+      if (len > radius){ dx *= radius / len; dy *= radius / len; }
+      dirs = stickDirections(dx, dy, radius);
+      for (const d of DIRECTIONS) if (dirs[d]) latched.add(d);
+      if (knob) knob.style.transform = `translate(${dx.toFixed(1)}px, ${dy.toFixed(1)}px)`;
+    }
+    function releaseStick(){
+      stickPointer = null;
+      dirs = stickDirections(0, 0, 1);
+      if (knob) knob.style.transform = '';
+    }
+    if (stickEl){
+      stickEl.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        used = true;
+        stickPointer = e.pointerId;
+        stickEl.setPointerCapture?.(e.pointerId);
+        moveStick(e);
+      }, { signal });
+      stickEl.addEventListener('pointermove', (e) => { if (e.pointerId === stickPointer) moveStick(e); }, { signal });
+      for (const t of ['pointerup', 'pointercancel', 'lostpointercapture']){
+        stickEl.addEventListener(t, (e) => { if (e.pointerId === stickPointer) releaseStick(); }, { signal });
+      }
+    }
+    for (const btn of el.querySelectorAll('[data-action]')){
+      const action = btn.dataset.action;
+      btn.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        used = true;
+        btn.setPointerCapture?.(e.pointerId);
+        held.set(e.pointerId, action);
+        latched.add(action);
+        btn.classList.add('held');
+      }, { signal });
+      const release = (e) => {
+        if (held.get(e.pointerId) !== action) return;
+        held.delete(e.pointerId);
+        if (![...held.values()].includes(action)) btn.classList.remove('held');
+      };
+      for (const t of ['pointerup', 'pointercancel', 'lostpointercapture']) btn.addEventListener(t, release, { signal });
+      btn.addEventListener('contextmenu', (e) => e.preventDefault(), { signal }); // long presses would open a menu
+    }
+
+    return {
+      get used(){ return used; },
+      // { pad: { left, right, up, down, attack, taunt, block }, start } for this tick
+      read(){
+        const pad = {};
+        for (const d of DIRECTIONS) pad[d] = dirs[d] || latched.has(d);
+        for (const a of ['attack', 'taunt', 'block']) pad[a] = [...held.values()].includes(a) || latched.has(a);
+        const start = latched.has('start');
+        latched.clear();
+        return { pad, start };
+      },
+      // Let go of everything (the page lost focus mid-press)
+      clear(){
+        held.clear(); latched.clear(); releaseStick();
+        for (const btn of el.querySelectorAll('[data-action].held')) btn.classList.remove('held');
+      },
+      // Haptic feedback, only once the touch controls are in use and where the browser has it
+      vibrate(pattern){
+        if (!used) return false;
+        try { return !!globalThis.navigator?.vibrate?.(pattern); }
+        catch { return false; }
+      },
+    };
+  }
+
+  return { STICK_DEAD, STICK_VERTICAL, stickDirections, createTouchControls };
+});
@@ -0,0 +1,91 @@
+// Training mode: the practice dummy's pads and the per-frame readout of a fighter's animation
+(function(root, factory){
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else (root.Ledger = root.Ledger || {}).training = api;
+})(typeof self !== 'undefined' ? self : this, function(){
+  const DUMMY_MODES = ['idle', 'walk', 'attack', 'block', 'playback'];
+  const DUMMY_LABELS = { idle: 'Stand', walk: 'Walk in', attack: 'Attack', block: 'Block', playback: 'Recording' };
+  const MAX_RECORD_TICKS = 600; // ten seconds
+  const idlePad = () => ({ left: false, right: false, up: false, down: false, attack: false, taunt: false, block: false });
+
+  // Recordings keep forward/back instead of left/right, so they play back toward the player from either side
+  function toRelative(pad, facing){
+    const { left, right, ...rest } = pad;
+    return { ...idlePad(), ...rest, forward: !!(facing === 1 ? right : left), back: !!(facing === 1 ? left : right) };
+  }
+  function fromRelative(rel, facing){
+    const { forward, back, ...rest } = rel;
+    return { ...rest, right: facing === 1 ? forward : back, left: facing === 1 ? back : forward };
+  }
+
+  // The dummy answers with a pad each tick, like the AI, but from a fixed setting:
+  //   idle - stand still          walk - walk into the player     attack - swing as often as it can
+  //   block - hold guard          playback - loop the last recording (stands still without one)
+  // While recording, record() takes the pads the player is steering the dummy with.
+  function createDummy(mode='idle'){
+    const d = {
+      mode: DUMMY_MODES.includes(mode) ? mode : 'idle',
+      recording: null, // facing-relative pads while a recording is being made
+      take: [],        // the last finished recording
+      at: 0,           // playback position in take
+    };
+    d.setMode = (next) => {
+      if (!DUMMY_MODES.includes(next)) return;
+      d.mode = next; d.at = 0;
+    };
+    d.startRecording = () => { d.recording = []; };
+    // Keeps what was recorded and switches to playing it back; an empty recording changes nothing
+    d.stopRecording = () => {
+      if (d.recording?.length){ d.take = d.recording; d.setMode('playback'); }
+      d.recording = null;
+    };
+    // One tick of the player steering the dummy; returns the pad to send it
+    d.record = (pad, self) => {
+      d.recording.push(toRelative(pad, self.facing));
+      if (d.recording.length >= MAX_RECORD_TICKS) d.stopRecording();
+      return { ...idlePad(), ...pad };
+    };
+    d.pad = (self, opp, match) => {
+      const pad = idlePad();
+      switch (d.mode){
+        case 'walk': {
+          const toward = Math.sign(opp.x - self.x) || self.facing;
+          if (toward > 0) pad.right = true; else pad.left = true;
+          break;
+        }
+        // A held button swings once, so it's pressed on every other tick and buffered in between
+        case 'attack': pad.attack = match.tick % 2 === 0; break;
+        case 'block': pad.block = true; break;
+        case 'playback':
+          if (!d.take.length) break;
+          Object.assign(pad, fromRelative(d.take[d.at % d.take.length], self.facing));
+          d.at++;
+          break;
+      }
+      return pad;
+    };
+    return d;
+  }
+
+  // What the readout shows for a fighter: state, animation frame and, during an attack, its
+  // startup/active/recovery split in animation frames and which part the current frame is in.
+  // hitstun and blockstun are in ticks.
+  function frameInfo(f, tickMs){
+    const a = f.currentAnim();
+    const total = a ? a.total() : 1, frame = a ? a.frame() : 0;
+    const info = { state: f.current, anim: f.animName(), frame, total, move: null, phase: null, hitstun: Math.ceil(f.hitstun / tickMs), blockstun: Math.ceil(f.blockstun / tickMs) };
+    if (f.state.attacking && f.move){
+      const active = Array.from({ length: total }, (_, i) => f.isActiveAt(i));
+      const first = active.indexOf(true), last = active.lastIndexOf(true);
+      const startup = first < 0 ? total : first;
+      const activeCount = first < 0 ? 0 : last - first + 1;
+      info.move = f.move.label || f.move.name;
+      info.startup = startup; info.active = activeCount; info.recovery = total - startup - activeCount;
+      info.phase = active[frame] ? 'active' : frame < startup ? 'startup' : 'recovery';
+    }
+    return info;
+  }
+
+  return { DUMMY_MODES, DUMMY_LABELS, MAX_RECORD_TICKS, createDummy, frameInfo };
+});
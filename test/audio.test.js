@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SYNTHS } = require('../js/audio.js');
+
+// Just enough of an AudioContext to render into
+const ctx = { sampleRate: 8000, createBuffer: (channels, length) => { const data = new Float32Array(length); return { length, getChannelData: () => data }; } };
+
+test('every synthesised sound renders without clipping', () => {
+  for (const [name, synth] of Object.entries(SYNTHS)){
+    const data = synth(ctx).getChannelData(0);
+    assert.ok(data.length > 0, name);
+    assert.ok(data.every(v => Number.isFinite(v) && Math.abs(v) <= 1), `${name} stays within -1..1`);
+    assert.ok(data.some(v => Math.abs(v) > 0.05), `${name} is audible`);
+  }
+});
+
+test('the music loops without a click at the seam', () => {
+  for (const name of ['fight', 'office', 'exchange', 'rooftop']){
+    const data = SYNTHS[name](ctx).getChannelData(0);
+    assert.ok(data.length / ctx.sampleRate > 4, `${name} is at least a few seconds long`);
+    assert.ok(Math.abs(data[0]) < 0.01 && Math.abs(data[data.length - 1]) < 0.01, name);
+  }
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { ROSTER, validateManifest, assertManifest, ManifestError, parseFrameHint, frameCountOf, palettesOf, paletteFilter, loadManifest, loadRoster } = require('../js/characters.js');
+const { soap, man } = require('./helpers.js');
+
+// fetch() over the repo's files, like a page served from its root
+async function fetchFile(url){
+  const file = path.join(__dirname, '..', url);
+  if (!fs.existsSync(file)) return { ok: false, status: 404 };
+  const text = fs.readFileSync(file, 'utf8');
+  return { ok: true, status: 200, json: async () => JSON.parse(text) };
+}
+
+const copy = (m) => JSON.parse(JSON.stringify(m));
+// The issues for the manifest after `change` has edited a copy of it
+const issuesAfter = (change, m = soap) => { const c = copy(m); change(c); return validateManifest(c); };
+
+test('the shipped fighters are valid', () => {
+  assert.deepEqual(validateManifest(soap), []);
+  assert.deepEqual(validateManifest(man), []);
+  assert.equal(assertManifest(soap), soap);
+});
+
+test('every problem is reported at once', () => {
+  const issues = issuesAfter(m => { m.id = 'has space'; m.stats.maxHp = -1; delete m.animations.idle; });
+  assert.equal(issues.length, 3);
+  assert.match(issues.join('\n'), /^id:/m);
+  assert.match(issues.join('\n'), /^stats\.maxHp:/m);
+  assert.match(issues.join('\n'), /^animations\.idle: missing/m);
+  assert.deepEqual(validateManifest(null), ['manifest must be an object']);
+});
+
+test('assertManifest throws a ManifestError listing the issues', () => {
+  const bad = copy(soap); bad.tile = { w: 0, h: 80 };
+  assert.throws(() => assertManifest(bad), (e) => e instanceof ManifestError && e.id === 'soap' && e.issues.length === 1 && /tile:/.test(e.message));
+});
+
+test('animations, sounds, boxes and frame events are checked', () => {
+  assert.match(issuesAfter(m => { m.animations.walk = { src: 'walk.png' }; }).join(), /animations\.walk\.frameCount: required/);
+  assert.match(issuesAfter(m => { m.animations.dance = { src: 'dance_4.png' }; }).join(), /animations\.dance: unknown animation/);
+  assert.match(issuesAfter(m => { m.animations.idle.src = 'idle.txt'; }).join(), /animations\.idle\.src: .*unsupported file extension/);
+  assert.match(issuesAfter(m => { m.sounds.attack.volume = 2; }).join(), /sounds\.attack\.volume: must be between 0 and 1/);
+  assert.match(issuesAfter(m => { m.sounds.walk = { volume: 0.5 }; }).join(), /sounds\.walk: needs files \(src\) or a synth/);
+  assert.match(issuesAfter(m => { m.animations.attack.boxes.frames[12] = { hit: [] }; }).join(), /frames\.12: past the last frame \(7\)/);
+  assert.match(issuesAfter(m => { m.animations.attack.boxes.active = 9; }).join(), /startup\+active\+recovery \(14\) exceeds frameCount \(8\)/);
+  assert.match(issuesAfter(m => { m.animations.attack.events = { 2: [{ sound: 'nope' }] }; }).join(), /not one of the fighter's sounds/);
+});
+
+test('moves name real animations, motions and moves', () => {
+  const move = Object.keys(soap.moves).find(k => soap.moves[k].motion);
+  assert.match(issuesAfter(m => { m.moves[move].motion = 'spin'; }).join(), /motion: must be one of/);
+  assert.match(issuesAfter(m => { m.moves[move].anim = 'nope'; }).join(), /anim: must name one of the fighter's animations/);
+  assert.match(issuesAfter(m => { m.moves.attack.cancels = ['nope']; }).join(), /"nope" is not a move/);
+  assert.match(issuesAfter(m => { m.moves = { [move]: m.moves[move] }; }).join(), /needs at least one plain move/);
+});
+
+test('palettes are limited to canvas filters', () => {
+  assert.deepEqual(issuesAfter(m => { m.palettes = [{ name: 'Teal', filter: 'hue-rotate(90deg) saturate(1.2)' }]; }), []);
+  assert.match(issuesAfter(m => { m.palettes = [{ name: 'Bad', filter: 'url(#x)' }]; }).join(), /palettes\[0\]\.filter/);
+  const m = copy(soap); m.palettes = [{ name: 'Teal', filter: 'hue-rotate(90deg)' }];
+  assert.equal(palettesOf(m).length, 2);
+  assert.equal(paletteFilter(m, 1), 'hue-rotate(90deg)');
+  assert.equal(paletteFilter(m, 5), '');
+});
+
+test('frame counts come from the manifest or the file name', () => {
+  assert.equal(parseFrameHint('sheets/soapattack_8.png'), 8);
+  assert.equal(parseFrameHint('sheets/idle.png'), 0);
+  assert.equal(frameCountOf({ src: 'walk_6.png' }), 6);
+  assert.equal(frameCountOf({ src: 'walk_6.png', frameCount: 4 }), 4);
+});
+
+test('the roster loads from characters/ and validates', async () => {
+  const roster = await loadRoster({ fetch: fetchFile });
+  assert.deepEqual(Object.keys(roster), ROSTER);
+  assert.deepEqual(roster.soap, soap);
+});
+
+test('loading reports missing, broken and invalid manifests', async () => {
+  const served = (body) => async () => ({ ok: true, status: 200, json: async () => JSON.parse(body) });
+  await assert.rejects(loadManifest('characters/nobody.json', { fetch: fetchFile }), /HTTP 404/);
+  await assert.rejects(loadManifest('x.json', { fetch: async () => { throw new Error('offline'); } }), /could not fetch x\.json: offline/);
+  await assert.rejects(loadManifest('x.json', { fetch: served('{') }), /not valid JSON/);
+  await assert.rejects(loadManifest('x.json', { fetch: served('{"id":"x"}') }), ManifestError);
+  await assert.rejects(loadRoster({ ids: ['soap'], fetch: async () => fetchFile('characters/man.json') }), /doesn't match its file name/);
+});
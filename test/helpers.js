@@ -0,0 +1,14 @@
+// Shared fixtures for the simulation tests: a fixed match config and seeded pseudo-random pads
+const soap = require('../characters/soap.json');
+const man = require('../characters/man.json');
+
+const config = (extra = {}) => ({ player: soap, enemy: man, seed: 7, world: { width: 1440, groundY: 480, scale: 4 }, ...extra });
+
+// The same pad for the same tick and salt, changing every few ticks like a player's hands would
+function pad(t, salt){
+  const v = Math.abs((Math.sin(Math.floor(t / 4) * 12.9898 + salt) * 43758.5453) % 1);
+  return { left: v < 0.2, right: v > 0.6, up: v > 0.95, down: v > 0.45 && v < 0.5, attack: t % 7 === 0, taunt: t % 400 === 0, block: v > 0.3 && v < 0.35 };
+}
+const inputs = (t) => ({ start: t === 1, p1: pad(t, 1), p2: pad(t, 2), restart: t % 900 === 0 });
+
+module.exports = { soap, man, config, pad, inputs };
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInputBuffer, direction, motionPads, MOTION_NAMES, PRESS_WINDOW } = require('../js/moves.js');
+const { createMatch } = require('../js/sim.js');
+const { soap, man, config } = require('./helpers.js');
+
+const feed = (buf, pads, facing = 1) => { for (const p of pads) buf.push(p, facing); };
+
+test('directions are numpad notation relative to facing', () => {
+  assert.equal(direction({}), 5);
+  assert.equal(direction({ right: true }), 6);
+  assert.equal(direction({ right: true }, -1), 4);
+  assert.equal(direction({ down: true, right: true }), 3);
+  assert.equal(direction({ up: true, left: true }), 7);
+});
+
+test('every motion is recognised from its own pads, facing either way', () => {
+  for (const name of MOTION_NAMES){
+    for (const facing of [1, -1]){
+      const buf = createInputBuffer();
+      feed(buf, [{}, ...motionPads(name, facing)], facing);
+      assert.ok(buf.motion(name), `${name} facing ${facing}`);
+    }
+  }
+});
+
+test('a motion needs its steps in order and inside its window', () => {
+  const buf = createInputBuffer();
+  feed(buf, [{}, { right: true }, { down: true, right: true }, { down: true }]); // qcf backwards
+  assert.equal(buf.motion('qcf'), false);
+  const slow = createInputBuffer();
+  feed(slow, [{}, { down: true }, ...Array(20).fill({ down: true, right: true }), { right: true }]);
+  assert.equal(slow.motion('qcf'), false);
+});
+
+test('a held direction is not a fresh step', () => {
+  const buf = createInputBuffer();
+  feed(buf, [{ right: true }, { right: true }, {}, { right: true }]);
+  assert.ok(buf.motion('dashf'));
+  const held = createInputBuffer();
+  feed(held, Array(6).fill({ right: true }));
+  assert.equal(held.motion('dashf'), false);
+});
+
+test('presses are buffered for a few ticks and used once', () => {
+  const buf = createInputBuffer();
+  feed(buf, [{}, { attack: true }, { attack: true }]);
+  assert.ok(buf.pressed('attack'));
+  feed(buf, Array(PRESS_WINDOW).fill({}));
+  assert.equal(buf.pressed('attack'), false, 'the press has expired');
+  feed(buf, [{ attack: true }]);
+  buf.consume();
+  assert.equal(buf.pressed('attack'), false, 'consume() uses it up');
+});
+
+test('the buffer snapshot restores exactly', () => {
+  const buf = createInputBuffer();
+  feed(buf, [{}, { down: true }, { down: true, right: true }]);
+  const snap = buf.snapshot();
+  feed(buf, [{ left: true }, { attack: true }]);
+  buf.restore(snap);
+  feed(buf, [{ right: true }]);
+  assert.ok(buf.motion('qcf'));
+});
+
+// Puts the Man and Soap in the fight, close together, with meter for a special
+function fight(){
+  const m = createMatch(config({ player: man, enemy: soap, p2Human: true }));
+  m.step({ start: true });
+  while (m.phase !== 'fight') m.step({});
+  m.player.x = 400; m.enemy.x = 480; m.player.meter = 100;
+  return m;
+}
+function play(m, script, ticks){
+  const events = [];
+  for (let t = 0; t < ticks; t++) events.push(...m.step({ p1: script[t] || {}, p2: {} }).filter(e => e.type !== 'sound'));
+  return events;
+}
+
+test('attacks chain into a follow-up and a special for a combo', () => {
+  const m = fight();
+  const events = play(m, { 0: { attack: true }, 10: { attack: true }, 18: { down: true }, 19: { down: true, right: true }, 20: { right: true }, 21: { right: true, attack: true } }, 120);
+  assert.deepEqual(events.filter(e => e.type === 'move').map(e => e.move), ['attack', 'followUp', 'audit']);
+  const combos = events.filter(e => e.type === 'combo');
+  assert.equal(combos.at(-1).hits, 3);
+  assert.equal(m.stats.player.maxCombo, 3);
+  assert.equal(m.player.meter, 50, 'the special spent its meter');
+});
+
+test('a special needs the meter for it', () => {
+  const m = fight();
+  m.player.meter = 0;
+  const events = play(m, { 1: { down: true }, 2: { down: true, right: true }, 3: { right: true }, 4: { right: true, attack: true } }, 60);
+  assert.deepEqual(events.filter(e => e.type === 'move').map(e => e.move), ['attack']);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMatch } = require('../js/sim.js');
+const { createRollbackSession, createLoopbackSignal, NetError, INPUT_DELAY } = require('../js/net.js');
+const { createRecorder, createPlayback } = require('../js/replay.js');
+const { config, pad } = require('./helpers.js');
+
+// Two in-memory channels; messages wait in a queue until deliver() hands them over, so a test
+// decides how late each side's inputs arrive
+function channelPair(){
+  const queue = [];
+  const end = () => ({ onmessage: null, onclose: null });
+  const a = end(), b = end();
+  a.send = (msg) => queue.push({ to: b, msg: JSON.parse(JSON.stringify(msg)) });
+  b.send = (msg) => queue.push({ to: a, msg: JSON.parse(JSON.stringify(msg)) });
+  const deliver = (to) => {
+    for (let i = 0; i < queue.length; i++){
+      if (to && queue[i].to !== to) continue;
+      const [q] = queue.splice(i--, 1);
+      q.to.onmessage?.(q.msg);
+    }
+  };
+  return { a, b, deliver };
+}
+function peers({ checksumEvery } = {}){
+  const cfg = config({ p2Human: true });
+  const link = channelPair();
+  const recorder = createRecorder(cfg);
+  const confirmed = { p1: [], p2: [] };
+  const ma = createMatch(cfg), mb = createMatch(cfg);
+  const sa = createRollbackSession({ match: ma, side: 'p1', channel: link.a, checksumEvery, onConfirm: (inputs, events) => { recorder.record(inputs); confirmed.p1.push(...events.filter(e => e.type === 'hit')); } });
+  const sb = createRollbackSession({ match: mb, side: 'p2', channel: link.b, checksumEvery, onConfirm: (inputs, events) => confirmed.p2.push(...events.filter(e => e.type === 'hit')) });
+  return { link, ma, mb, sa, sb, recorder, confirmed };
+}
+// Lets the sessions settle: both keep ticking with empty pads until every input has arrived,
+// then one more tick each leaves every tick so far settled on both sides
+function settle(p, ticks = 30){
+  for (let t = 0; t < ticks; t++){ p.sa.tick({}); p.sb.tick({}); p.link.deliver(); }
+  while (p.ma.tick < p.mb.tick) p.sa.tick({});
+  while (p.mb.tick < p.ma.tick) p.sb.tick({});
+  p.link.deliver();
+  p.sa.tick({}); p.sb.tick({});
+}
+// Each side walks at the other and keeps attacking
+const rush = (t, toward) => ({ [toward]: true, attack: t % 20 < 3 });
+
+test('two sessions agree after a late input forces a rollback', () => {
+  const p = peers();
+  for (let t = 1; t <= 1200; t++){
+    p.sa.tick(pad(t, 1), { restart: t % 500 === 0 });
+    p.sb.tick(pad(t, 2));
+    // p2's inputs reach p1 only every 6 ticks, so p1 keeps predicting and correcting
+    p.link.deliver(p.link.b);
+    if (t % 6 === 0) p.link.deliver(p.link.a);
+  }
+  settle(p);
+  assert.ok(p.sa.stats.rollbacks > 0, 'p1 should have rolled back');
+  assert.equal(p.sa.status, 'running');
+  assert.equal(p.sb.status, 'running');
+  assert.equal(p.ma.tick, p.mb.tick);
+  assert.equal(p.ma.checksum(), p.mb.checksum());
+});
+
+test('settled ticks carry the same events on both sides and replay to the same match', () => {
+  const p = peers();
+  for (let t = 1; t <= 900; t++){
+    p.sa.tick(rush(t, 'right'));
+    p.sb.tick(rush(t, 'left'));
+    if (t % 3 === 0) p.link.deliver();
+  }
+  settle(p);
+  assert.ok(p.sa.stats.rollbacks > 0, 'p1 should have rolled back');
+  assert.ok(p.confirmed.p1.length > 0, 'the fighters should have landed hits');
+  assert.deepEqual(p.confirmed.p2, p.confirmed.p1);
+  assert.equal(p.recorder.ticks, p.ma.tick);
+  const pb = createPlayback(p.recorder.toJSON());
+  pb.seek(pb.length);
+  assert.equal(pb.match.checksum(), p.ma.checksum());
+});
+
+test('a session waits rather than predict too far ahead', () => {
+  const p = peers();
+  let waited = false;
+  for (let t = 0; t < 40; t++){ if (p.sa.tick({}) === null) waited = true; } // p2 never sends
+  assert.ok(waited);
+  assert.equal(p.sa.status, 'waiting');
+  assert.ok(p.ma.tick - INPUT_DELAY <= p.sa.maxRollback);
+});
+
+test('a state mismatch ends both sessions as a desync', () => {
+  const p = peers({ checksumEvery: 10 });
+  for (let t = 1; t <= 100; t++){ p.sa.tick({}); p.sb.tick({}); p.link.deliver(); }
+  p.mb.player.hp -= 5; // something only one side did
+  for (let t = 0; t < 40; t++){ p.sa.tick({}); p.sb.tick({}); p.link.deliver(); }
+  assert.equal(p.sa.status, 'desync');
+  assert.ok(p.sa.desyncTick > 100);
+  assert.equal(p.sa.tick({}), null);
+});
+
+test('closing the channel ends the session', () => {
+  const p = peers();
+  p.link.a.onclose();
+  assert.equal(p.sa.status, 'closed');
+  assert.equal(p.sa.tick({}), null);
+});
+
+test('loopback signaling needs BroadcastChannel', () => {
+  assert.throws(() => createLoopbackSignal('room', { Channel: null }), NetError);
+  const a = createLoopbackSignal('t1'), b = createLoopbackSignal('t1');
+  a.close(); b.close();
+});
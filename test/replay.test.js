@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMatch } = require('../js/sim.js');
+const replay = require('../js/replay.js');
+const { config, inputs } = require('./helpers.js');
+
+const { encodeInputs, decodeInputs, encodeRuns, decodeRuns, createRecorder, parseReplay, createPlayback, ReplayError } = replay;
+
+test('inputs round-trip through their bitmask', () => {
+  const all = { p1: {}, p2: {}, start: true, restart: false };
+  replay.BUTTONS.forEach((b, i) => { all.p1[b] = i % 2 === 0; all.p2[b] = i % 3 === 0; });
+  assert.deepEqual(decodeInputs(encodeInputs(all), { p2: true }), all);
+  assert.equal(encodeInputs({}), 0);
+  // Without p2 the second pad is left out, but its bits still don't leak into the commands
+  const solo = decodeInputs(encodeInputs({ p2: { attack: true }, restart: true }));
+  assert.equal(solo.p2, undefined);
+  assert.equal(solo.restart, true);
+  assert.equal(solo.start, false);
+});
+
+test('run-length encoding round-trips', () => {
+  const masks = [0, 0, 0, 5, 5, 1, 0, 0, 7];
+  const runs = encodeRuns(masks);
+  assert.deepEqual(runs, [0, 3, 5, 2, 1, 1, 0, 2, 7, 1]);
+  assert.deepEqual([...decodeRuns(runs)], masks);
+  assert.deepEqual(encodeRuns([]), []);
+  assert.equal(decodeRuns([]).length, 0);
+});
+
+test('a recorded match plays back to the same state', () => {
+  const cfg = config({ p2Human: true });
+  const m = createMatch(cfg), rec = createRecorder(cfg);
+  for (let t = 1; t <= 2000; t++){ const i = inputs(t); rec.record(i); m.step(i); }
+  const file = JSON.parse(JSON.stringify(rec.toJSON()));
+  assert.equal(file.ticks, 2000);
+  assert.ok(file.inputs.length < 2 * 2000, 'inputs are run-length encoded');
+  const pb = createPlayback(file);
+  pb.seek(pb.length);
+  assert.equal(pb.match.checksum(), m.checksum());
+  // Seeking back re-simulates from the start
+  pb.seek(10);
+  assert.equal(pb.tick, 10);
+  pb.seek(pb.length);
+  assert.equal(pb.match.checksum(), m.checksum());
+});
+
+test('truncate forgets the ticks after a restored point', () => {
+  const rec = createRecorder(config());
+  for (let t = 1; t <= 50; t++) rec.record(inputs(t));
+  rec.truncate(20);
+  assert.equal(rec.ticks, 20);
+  assert.equal(rec.toJSON().ticks, 20);
+});
+
+test('replays this build cannot play are rejected', () => {
+  const good = createRecorder(config()).toJSON();
+  const bad = (patch) => () => parseReplay({ ...good, ...patch });
+  assert.throws(() => parseReplay('{'), ReplayError);
+  assert.throws(bad({ format: 'something-else' }), /Not a replay file/);
+  assert.throws(bad({ version: replay.VERSION + 1 }), /newer/);
+  for (let v = 1; v < replay.VERSION; v++) assert.throws(bad({ version: v }), /older match rules/);
+  assert.throws(bad({ tickHz: 30 }), /30 Hz/);
+  assert.throws(bad({ inputs: [1, 2, 3] }), /corrupt/);
+  assert.throws(bad({ config: {} }), /match config/);
+  assert.throws(bad({ inputs: [0, 2, 5, 0], ticks: 2 }), /corrupt \(run 1 is 0 ticks long\)/);
+  assert.throws(bad({ inputs: [0, 1.5], ticks: 1.5 }), /corrupt/);
+  assert.throws(bad({ inputs: [0, 30, 5, 20], ticks: 60 }), /doesn't match its tick count \(60\)/);
+  assert.throws(bad({ inputs: [0, 1e12], ticks: 1e12 }), /longer than/);
+  assert.throws(() => decodeRuns([0, replay.MAX_TICKS, 1, 1]), ReplayError);
+  assert.equal(parseReplay(JSON.stringify(good)).version, replay.VERSION);
+});
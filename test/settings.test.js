@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SETTINGS, STORAGE_KEY, LEGACY_KEYS, coerce, parseOverrides, loadSettings, createSettings } = require('../js/settings.js');
+
+// A localStorage stand-in
+function memoryStorage(init = {}){
+  const items = new Map(Object.entries(init));
+  return { getItem: (k) => items.has(k) ? items.get(k) : null, setItem: (k, v) => items.set(k, String(v)), items };
+}
+
+test('values are coerced to the setting type or refused', () => {
+  assert.equal(coerce('bestOf', '5'), 5);
+  assert.equal(coerce('bestOf', 4), undefined);
+  assert.equal(coerce('difficulty', 'hard'), 'hard');
+  assert.equal(coerce('difficulty', 'brutal'), undefined);
+  assert.equal(coerce('muted', 'on'), true);
+  assert.equal(coerce('muted', 'No'), false);
+  assert.equal(coerce('muted', 'maybe'), undefined);
+  assert.equal(coerce('master', '1.7'), 1, 'numbers are clamped');
+  assert.equal(coerce('master', ''), undefined);
+  assert.equal(coerce('nope', 1), undefined);
+});
+
+test('URL overrides use the setting names, with volume for master', () => {
+  assert.deepEqual(parseOverrides('?difficulty=hard&bestOf=5&stage=rooftop&volume=0.4&muted=1&reducedMotion=on&autoPause=off'), {
+    difficulty: 'hard', bestOf: 5, stage: 'rooftop', master: 0.4, muted: true, reducedMotion: true, autoPause: false,
+  });
+  assert.deepEqual(parseOverrides('?bestOf=2&unknown=1&difficulty='), {});
+  assert.deepEqual(parseOverrides(''), {});
+});
+
+test('saved settings load over the defaults, and bad saved values are dropped', () => {
+  const storage = memoryStorage({ [STORAGE_KEY]: JSON.stringify({ difficulty: 'easy', bestOf: 7, autoPause: false }) });
+  const values = loadSettings(storage);
+  assert.equal(values.difficulty, 'easy');
+  assert.equal(values.bestOf, SETTINGS.bestOf.default);
+  assert.equal(values.autoPause, false);
+  assert.equal(loadSettings(memoryStorage({ [STORAGE_KEY]: '{broken' })).difficulty, SETTINGS.difficulty.default);
+});
+
+test('volumes and reduced motion saved before the settings model are still picked up', () => {
+  const storage = memoryStorage({ [LEGACY_KEYS.sound]: JSON.stringify({ master: 0.25, muted: true }), [LEGACY_KEYS.reducedMotion]: '1' });
+  const values = loadSettings(storage);
+  assert.equal(values.master, 0.25);
+  assert.equal(values.muted, true);
+  assert.equal(values.reducedMotion, true);
+  assert.equal(loadSettings(memoryStorage({ [STORAGE_KEY]: JSON.stringify({ master: 0.6 }), [LEGACY_KEYS.sound]: JSON.stringify({ master: 0.25 }) })).master, 0.6, 'a newer save wins');
+});
+
+test('overrides hold for the visit only and give way to the player', () => {
+  const storage = memoryStorage({ [STORAGE_KEY]: JSON.stringify({ difficulty: 'easy' }) });
+  const settings = createSettings({ storage, search: '?difficulty=hard&bestOf=1' });
+  assert.equal(settings.get('difficulty'), 'hard');
+  assert.ok(settings.overridden('difficulty'));
+  const changes = [];
+  settings.onChange((key, value) => changes.push([key, value]));
+  assert.equal(settings.set('autoPause', false), true);
+  const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+  assert.equal(saved.difficulty, 'easy', 'an override is never saved');
+  assert.equal(saved.bestOf, SETTINGS.bestOf.default);
+  assert.equal(settings.set('difficulty', 'normal'), true);
+  assert.equal(settings.overridden('difficulty'), false);
+  assert.equal(JSON.parse(storage.getItem(STORAGE_KEY)).difficulty, 'normal');
+  assert.deepEqual(changes, [['autoPause', false], ['difficulty', 'normal']]);
+  assert.equal(settings.set('difficulty', 'brutal'), false);
+  assert.equal(settings.get('difficulty'), 'normal');
+});
+
+test('settings still work without storage', () => {
+  const settings = createSettings({ storage: null, search: '' });
+  assert.equal(settings.get('bestOf'), SETTINGS.bestOf.default);
+  assert.equal(settings.set('bestOf', 5), true);
+  assert.equal(settings.get('bestOf'), 5);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMatch, createFixedLoop, TICK_MS } = require('../js/sim.js');
+const { man, config, pad, inputs } = require('./helpers.js');
+
+const run = (cfg, ticks) => {
+  const m = createMatch(cfg), sums = [], events = [];
+  for (let t = 1; t <= ticks; t++){
+    events.push(...m.step(inputs(t)).filter(e => e.type !== 'sound'));
+    sums.push(m.checksum());
+  }
+  return { m, sums, events };
+};
+
+test('the same seed and inputs give the same match', () => {
+  for (const p2Human of [false, true]){
+    const a = run(config({ p2Human, ai: 'hard' }), 3000), b = run(config({ p2Human, ai: 'hard' }), 3000);
+    assert.deepEqual(b.sums, a.sums);
+    assert.deepEqual(b.events, a.events);
+    assert.ok(a.events.some(e => e.type === 'hit'), 'the fighters should have traded hits');
+  }
+});
+
+test('a different seed changes the CPU match', () => {
+  const a = run(config({ ai: 'hard' }), 2000), b = run(config({ ai: 'hard', seed: 8 }), 2000);
+  assert.notDeepEqual(b.sums, a.sums);
+});
+
+test('stepping on from a restored snapshot repeats the same ticks', () => {
+  const ref = run(config({ ai: 'hard' }), 1500);
+  const m = createMatch(config({ ai: 'hard' }));
+  for (let t = 1; t <= 600; t++) m.step(inputs(t));
+  const snap = m.snapshot();
+  // Go somewhere else entirely, then come back
+  for (let t = 601; t <= 700; t++) m.step({ p1: pad(t, 9) });
+  m.restore(snap);
+  assert.equal(m.tick, 600);
+  assert.equal(m.checksum(), ref.sums[599]);
+  for (let t = 601; t <= 1500; t++){
+    m.step(inputs(t));
+    assert.equal(m.checksum(), ref.sums[t - 1], `tick ${t}`);
+  }
+});
+
+test('snapshots are plain data that survive JSON', () => {
+  const m = createMatch(config({ p2Human: true }));
+  for (let t = 1; t <= 400; t++) m.step(inputs(t));
+  const snap = JSON.parse(JSON.stringify(m.snapshot()));
+  const sum = m.checksum();
+  for (let t = 401; t <= 450; t++) m.step(inputs(t));
+  m.restore(snap);
+  assert.equal(m.checksum(), sum);
+});
+
+test('checksum follows the match state', () => {
+  const m = createMatch(config({ p2Human: true }));
+  for (let t = 1; t <= 300; t++) m.step(inputs(t));
+  const before = m.checksum();
+  assert.equal(m.checksum(), before);
+  m.player.hp -= 1;
+  assert.notEqual(m.checksum(), before);
+});
+
+test('the CPU walks at the fighter\'s own speed, like a player', () => {
+  assert.equal(createMatch(config({ ai: 'hard' })).enemy.walkSpeed, man.stats.walkSpeed);
+  assert.equal(createMatch(config({ p2Human: true })).enemy.walkSpeed, man.stats.walkSpeed);
+});
+
+test('the fixed loop runs whole ticks and keeps the remainder', () => {
+  let now = 0, ticks = 0;
+  const loop = createFixedLoop({ onTick: () => ticks++, clock: { now: () => now } });
+  now = TICK_MS * 2.5;
+  assert.ok(Math.abs(loop.advance() - 0.5) < 1e-9, 'half a tick left over');
+  assert.equal(ticks, 2);
+  now = TICK_MS * 3.5; loop.advance();
+  assert.equal(ticks, 3);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { BUILTIN, StageError, validateStage, assertStage, stageWorld } = require('../js/stages.js');
+const { SYNTHS } = require('../js/audio.js');
+
+test('the built-in stages are valid', () => {
+  for (const stage of Object.values(BUILTIN)) assert.deepEqual(validateStage(stage), [], stage.id);
+});
+
+// Width and height from a PNG's IHDR chunk
+function pngSize(file){
+  const data = fs.readFileSync(path.join(__dirname, '..', file));
+  assert.equal(data.toString('latin1', 1, 4), 'PNG', `${file} is a PNG`);
+  return { w: data.readUInt32BE(16), h: data.readUInt32BE(20) };
+}
+
+test('the built-in stage images are shipped, with a fallback for each', () => {
+  for (const stage of Object.values(BUILTIN)){
+    for (const l of [...stage.layers, ...stage.props].filter(l => l.src)){
+      assert.ok(pngSize(l.src).w > 0, l.src);
+      assert.ok(l.shapes?.length, `${l.src} has shapes to fall back to`);
+    }
+  }
+});
+
+test('each built-in stage has a sprite-sheet prop that fits its frames', () => {
+  for (const stage of Object.values(BUILTIN)){
+    const sheets = stage.props.filter(p => p.src && p.tile);
+    assert.ok(sheets.length, stage.id);
+    for (const p of sheets){
+      const { w, h } = pngSize(p.src);
+      assert.equal(h, p.tile.h, p.src);
+      assert.equal(w, p.tile.w * p.frameCount, p.src);
+    }
+  }
+});
+
+test('every built-in stage has a generated tune', () => {
+  for (const stage of Object.values(BUILTIN)) assert.ok(SYNTHS[stage.music.synth], stage.id);
+});
+
+test('music needs files or a known synth', () => {
+  const stage = (music) => ({ ...BUILTIN.office, music });
+  assert.deepEqual(validateStage(stage({ src: ['audio/track.ogg'], synth: 'office' })), []);
+  assert.deepEqual(validateStage(stage({ src: 'audio/track.mp3' })), []);
+  assert.match(validateStage(stage({})).join('\n'), /needs files \(src\) or a synth/);
+  assert.match(validateStage(stage({ synth: 'polka' })).join('\n'), /music\.synth: must be one of/);
+  assert.match(validateStage(stage({ src: ['audio/track.txt'] })).join('\n'), /music\.src\[0\].*unsupported file extension/);
+  assert.match(validateStage(stage(['audio/track.ogg'])).join('\n'), /music: must be/);
+});
+
+test('assertStage lists every problem', () => {
+  assert.throws(() => assertStage({ id: 'bad', width: 100, groundY: -1 }), (e) => e instanceof StageError && e.id === 'bad' && e.issues.length === 2);
+});
+
+test('stageWorld takes the walls from bounds', () => {
+  assert.deepEqual(stageWorld(BUILTIN.office), { width: 1440, groundY: 480, scale: 4, left: 60, right: 1380 });
+  assert.equal(stageWorld({ width: 800, groundY: 400 }).right, 760);
+});